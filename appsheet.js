@@ -0,0 +1,174 @@
+import axios from "axios";
+import { getContext } from "./context.js";
+import { logger } from "./logger.js";
+import { countMetric } from "./metrics.js";
+import { getSetting } from "./tenants.js";
+
+/**
+ * AppSheet API client (POST /api/v2/apps/<appId>/tables/<table>/Action)
+ *
+ * Every call is retried on 429, 5xx and network errors with exponential
+ * backoff (or the Retry-After AppSheet sends) and throws once it gives up,
+ * so a failed call is never mistaken for an empty table.
+ */
+
+// Attempts per AppSheet call
+const DEFAULT_MAX_ATTEMPTS = 4;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function appSheetError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+function getAppSheetConfig() {
+  return {
+    appKey: getSetting("APP_KEY"),
+    appId: getSetting("APP_ID"),
+    appsheetBaseUrl:
+      getSetting("APPSHEET_BASE_URL") || "https://www.appsheet.com",
+  };
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  // No response at all: timeout, reset connection...
+  return !err.response || status === 429 || status >= 500;
+}
+
+/**
+ * Wait before the next attempt: Retry-After when AppSheet sends it,
+ * exponential backoff otherwise
+ */
+function getRetryDelay(err, attempt, baseDelay) {
+  const retryAfter = parseInt(err.response?.headers?.["retry-after"]);
+  return Number.isNaN(retryAfter)
+    ? baseDelay * Math.pow(2, attempt)
+    : retryAfter * 1000;
+}
+
+/**
+ * A Find response must be an array of rows, each with its key column
+ */
+function validateRows(tableName, data, key) {
+  if (!Array.isArray(data)) {
+    throw appSheetError(
+      `Unexpected AppSheet response for ${tableName}: expected an array of rows, got ${
+        data === "" ? "an empty body" : typeof data
+      }`,
+      { table: tableName }
+    );
+  }
+
+  const invalid = data.filter(
+    (row) => !row || typeof row !== "object" || !row[key]
+  ).length;
+  if (invalid > 0) {
+    throw appSheetError(
+      `Unexpected AppSheet response for ${tableName}: ${invalid}/${data.length} rows without "${key}"`,
+      { table: tableName }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Run one table action, retrying 429/5xx and network errors with backoff
+ * @param {Object} payload - { Action, Properties, Rows }
+ * @returns {Promise<any>} - Response body
+ */
+async function callAppSheet(tableName, payload) {
+  const { appKey, appId, appsheetBaseUrl } = getAppSheetConfig();
+  const url = `${appsheetBaseUrl}/api/v2/apps/${appId}/tables/${tableName}/Action`;
+  const action = payload.Action;
+
+  const maxAttempts = parseInt(
+    process.env.APPSHEET_MAX_RETRIES || String(DEFAULT_MAX_ATTEMPTS)
+  );
+  const baseDelay = parseInt(
+    process.env.APPSHEET_RETRY_BASE_DELAY_MS || "1000"
+  );
+  const timeout = parseInt(process.env.APPSHEET_TIMEOUT_MS || "60000");
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data } = await axios.post(url, payload, {
+        headers: {
+          ApplicationAccessKey: appKey,
+          "Content-Type": "application/json",
+        },
+        timeout,
+      });
+      return data;
+    } catch (err) {
+      const status = err.response?.status;
+      if (!isRetryable(err) || attempt >= maxAttempts - 1) {
+        logger.error(`❌ AppSheet ${action} on ${tableName} failed`, {
+          table: tableName,
+          action,
+          status,
+          attempts: attempt + 1,
+          error: err,
+          response: err.response?.data,
+        });
+        throw appSheetError(
+          `AppSheet ${action} on ${tableName} failed after ${
+            attempt + 1
+          } attempt(s): ${status ? `HTTP ${status}` : err.message}`,
+          { table: tableName, status }
+        );
+      }
+
+      const delay = getRetryDelay(err, attempt, baseDelay);
+      countMetric("counts", "appsheet_retries");
+      logger.warn(
+        `⏳ AppSheet ${action} on ${tableName} ${
+          status ? `returned ${status}` : `failed (${err.message})`
+        }, retry ${attempt + 1}/${maxAttempts - 1} in ${delay / 1000}s...`,
+        { table: tableName, action, status, attempt, delayMs: delay }
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Rows of a table matching a selector (all rows without one)
+ * @param {string} key - Key column every row must have
+ */
+export async function findRows(tableName, selector = null, key = "Row ID") {
+  const payload = {
+    Action: "Find",
+  };
+
+  if (selector) {
+    payload.Properties = {
+      Selector: selector,
+    };
+  }
+
+  // A malformed response is not retried, the next one would be the same
+  return validateRows(tableName, await callAppSheet(tableName, payload), key);
+}
+
+/**
+ * Update rows of a table (each identified by its key column)
+ * A dry run only adds the rows to its report
+ */
+export async function editRows(tableName, rows) {
+  const { dryRun } = getContext();
+  if (dryRun) {
+    dryRun.report.appsheet_edits.push({ table: tableName, rows });
+    return rows;
+  }
+
+  const data = await callAppSheet(tableName, {
+    Action: "Edit",
+    Properties: {},
+    Rows: rows,
+  });
+  return data?.Rows ?? data;
+}
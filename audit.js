@@ -3,11 +3,55 @@ import {
   getProcessedRowIds,
   writeJSON,
   addToProcessedIndex,
+  removeFromProcessedIndex,
   getValidPlacas,
+  fileExists,
+  readJSON,
+  deleteFile,
+  listFiles,
 } from "./bucket.js";
-import { auditWithGemini } from "./gemini.js";
+import { auditValeImage } from "./gemini.js";
 import { exportAuditToExcelBuffer } from "./excel.js";
 import { sendAuditEmail, createTransporter } from "./email.js";
+import { getConcurrency, mapWithConcurrency } from "./utils.js";
+import { hasTimeLeft } from "./context.js";
+import { getLeasedRowIds } from "./lock.js";
+import { logger, withLogFields, startTimer } from "./logger.js";
+import { countMetric, recordRunError } from "./metrics.js";
+import { getSetting } from "./tenants.js";
+import {
+  isEligibleUsuario,
+  getReviews,
+  applyReview,
+  createReviewLink,
+  PENDING_REVIEW_STATUSES,
+} from "./review.js";
+
+// Statuses of records that produced no audit of the vale itself
+const UNAUDITED_STATUSES = ["error", "dead_letter", "imagen_faltante"];
+
+/**
+ * Max audit attempts per record before it is dead-lettered
+ */
+function getMaxAttempts() {
+  return parseInt(process.env.AUDIT_MAX_ATTEMPTS || "3");
+}
+
+/**
+ * Wait before the next attempt of a failed record: AUDIT_RETRY_BACKOFF_MS
+ * (default 10 minutes), doubled after each failed attempt
+ */
+function getRetryDelayMs(attempts) {
+  const baseDelay = parseInt(process.env.AUDIT_RETRY_BACKOFF_MS || "600000");
+  return baseDelay * 2 ** (attempts - 1);
+}
+
+/**
+ * Bucket path of the cached vale image for a record
+ */
+export function getImagePath(record, datePath) {
+  return `images/${datePath}/${record.fotoVale?.split("/").pop()}`;
+}
 
 /**
  * Get list of row IDs that haven't been processed yet
@@ -15,24 +59,145 @@ import { sendAuditEmail, createTransporter } from "./email.js";
 export async function getUnprocessedRecords(records, datePath) {
   const bucket = getBucket();
   if (!bucket) {
-    console.log("⚠️ No bucket available, processing all records");
+    logger.warn("⚠️ No bucket available, processing all records");
     return records;
   }
 
   const processedIds = await getProcessedRowIds(bucket, datePath);
-  console.log(`📊 Found ${processedIds.length} already processed records`);
+  logger.info(`📊 Found ${processedIds.length} already processed records`);
+
+  const waitingIds = await getRowIdsWaitingForRetry(datePath);
+  if (waitingIds.length > 0) {
+    logger.info(
+      `⏳ ${waitingIds.length} failed records waiting for their retry backoff`
+    );
+  }
+
+  // Records a re-audit holds are left to it
+  const leasedIds = await getLeasedRowIds(datePath);
+  if (leasedIds.length > 0) {
+    logger.info(`🔒 Being re-audited by another run: ${leasedIds.join(", ")}`);
+  }
 
   const unprocessed = records.filter(
-    (record) => !processedIds.includes(record.rowId)
+    (record) =>
+      !processedIds.includes(record.rowId) &&
+      !waitingIds.includes(record.rowId) &&
+      !leasedIds.includes(record.rowId)
   );
 
-  console.log(
+  logger.info(
     `📝 ${unprocessed.length} records remaining to process (${records.length} total)`
   );
 
   return unprocessed;
 }
 
+/**
+ * Failed attempts of a date whose record is still to be retried. They are
+ * not audit outcomes: reports count them apart from the results
+ */
+export async function getFailedAttempts(datePath) {
+  const bucket = getBucket();
+  if (!bucket) {
+    return [];
+  }
+
+  const failures = [];
+  for (const filePath of await listFiles(
+    bucket,
+    `audits/${datePath}/failed/`
+  )) {
+    const failure = await readJSON(bucket, filePath);
+    if (failure) {
+      failures.push(failure);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Row IDs of failed records whose next retry is not due yet
+ */
+async function getRowIdsWaitingForRetry(datePath) {
+  const now = Date.now();
+  return (await getFailedAttempts(datePath))
+    .filter((f) => f.next_retry_at && new Date(f.next_retry_at) > now)
+    .map((f) => f.row_id);
+}
+
+/**
+ * Remove the failed result of a record once an attempt succeeds, so reports
+ * don't list it twice
+ */
+async function clearFailedResult(bucket, datePath, rowId) {
+  const errorPath = `audits/${datePath}/failed/${rowId}.json`;
+  if (await fileExists(bucket, errorPath)) {
+    await deleteFile(bucket, errorPath);
+  }
+}
+
+/**
+ * Save a failed attempt: retried with backoff on later runs until
+ * AUDIT_MAX_ATTEMPTS, then moved to dead_letter/ and marked processed
+ */
+async function recordFailedAttempt(errorResult, datePath) {
+  const rowId = errorResult.row_id;
+  const bucket = getBucket();
+  if (!bucket) {
+    return errorResult;
+  }
+
+  const errorPath = `audits/${datePath}/failed/${rowId}.json`;
+  const previous = (await fileExists(bucket, errorPath))
+    ? await readJSON(bucket, errorPath)
+    : null;
+  const attempts = (previous?.attempts || 0) + 1;
+  const errors = [...(previous?.errors || []), errorResult.error].slice(-5);
+  const maxAttempts = getMaxAttempts();
+
+  if (attempts >= maxAttempts) {
+    const deadLetterResult = {
+      ...errorResult,
+      status: "dead_letter",
+      attempts,
+      errors,
+      first_failed_at: previous?.first_failed_at || errorResult.timestamp,
+    };
+
+    logger.info(
+      `☠️ ${rowId} failed ${attempts}/${maxAttempts} attempts, moving to dead letter`
+    );
+    await writeJSON(
+      bucket,
+      `audits/${datePath}/dead_letter/${rowId}.json`,
+      deadLetterResult
+    );
+    await deleteFile(bucket, errorPath);
+
+    // Add to processed index so it is no longer retried
+    await addToProcessedIndex(bucket, datePath, rowId);
+    return deadLetterResult;
+  }
+
+  const failedResult = {
+    ...errorResult,
+    attempts,
+    errors,
+    first_failed_at: previous?.first_failed_at || errorResult.timestamp,
+    next_retry_at: new Date(
+      Date.now() + getRetryDelayMs(attempts)
+    ).toISOString(),
+  };
+
+  // Save error result to a separate failures folder (not processed)
+  await writeJSON(bucket, errorPath, failedResult);
+  logger.info(
+    `🔁 ${rowId} failed attempt ${attempts}/${maxAttempts}, next retry after ${failedResult.next_retry_at}`
+  );
+  return failedResult;
+}
+
 /**
  * Process a single record with Gemini
  */
@@ -40,10 +205,10 @@ export async function auditRecord(record, imagePath, datePath, validPlacas) {
   const rowId = record.rowId;
 
   try {
-    console.log(`🔍 Auditing record: ${rowId}`);
+    logger.info(`🔍 Auditing record: ${rowId}`);
 
-    // Call Gemini to audit the vale
-    const geminiResult = await auditWithGemini(record, imagePath, validPlacas);
+    // Call Gemini (or the configured extraction provider) to audit the vale
+    const geminiResult = await auditValeImage(record, imagePath, validPlacas);
 
     // Check if manual review is required
     if (geminiResult.requiresManualReview) {
@@ -73,6 +238,7 @@ export async function auditRecord(record, imagePath, datePath, validPlacas) {
       if (bucket) {
         const auditPath = `audits/${datePath}/manual_review/${rowId}.json`;
         await writeJSON(bucket, auditPath, manualReviewResult);
+        await clearFailedResult(bucket, datePath, rowId);
 
         // Add to processed index so it doesn't retry
         await addToProcessedIndex(bucket, datePath, rowId);
@@ -107,6 +273,7 @@ export async function auditRecord(record, imagePath, datePath, validPlacas) {
     if (bucket) {
       const auditPath = `audits/${datePath}/processed/${rowId}.json`;
       await writeJSON(bucket, auditPath, auditResult);
+      await clearFailedResult(bucket, datePath, rowId);
 
       // Update index for fast resume checks
       await addToProcessedIndex(bucket, datePath, rowId);
@@ -114,7 +281,8 @@ export async function auditRecord(record, imagePath, datePath, validPlacas) {
 
     return auditResult;
   } catch (error) {
-    console.error(`❌ Error auditing record ${rowId}:`, error);
+    logger.error(`❌ Error auditing record ${rowId}`, { error });
+    recordRunError(error.message, { rowId });
 
     const errorResult = {
       row_id: rowId,
@@ -125,27 +293,97 @@ export async function auditRecord(record, imagePath, datePath, validPlacas) {
       error: error.message,
     };
 
-    // Save error result to a separate failures folder (not processed)
-    const bucket = getBucket();
-    if (bucket) {
-      const errorPath = `audits/${datePath}/failed/${rowId}.json`;
-      await writeJSON(bucket, errorPath, errorResult);
+    return recordFailedAttempt(errorResult, datePath);
+  }
+}
 
-      // DO NOT add to processed index - allow retry on next run
-    }
+/**
+ * Record a viaje whose vale photo is missing (no fotoVale, or not in Drive)
+ * This is an audit finding, so it is final and never retried automatically
+ */
+export async function recordMissingImage(record, datePath, motivo) {
+  const rowId = record.rowId;
+  logger.info(`📷 Missing vale image for ${rowId}: ${motivo}`);
+
+  const missingImageResult = {
+    row_id: rowId,
+    timestamp: new Date().toISOString(),
+    aprobado: false,
+    obra: record.obra || null,
+    image_path: null,
+    foto_vale: record.fotoVale || null,
+    appsheet_values: {
+      numeroVale: record.numeroVale || null,
+      placa: record.placa || null,
+      m3: record.m3 || null,
+      fecha: record.fecha || null,
+    },
+    status: "imagen_faltante",
+    motivo,
+    error: null,
+  };
 
-    return errorResult;
+  const bucket = getBucket();
+  if (bucket) {
+    const auditPath = `audits/${datePath}/missing_image/${rowId}.json`;
+    await writeJSON(bucket, auditPath, missingImageResult);
+
+    // Add to processed index so it doesn't retry
+    await addToProcessedIndex(bucket, datePath, rowId);
   }
+
+  return missingImageResult;
+}
+
+/**
+ * Audit a record, or record it as missing its image when the download step
+ * could not find one
+ */
+function auditOrRecordMissing(record, datePath, validPlacas, missingImages) {
+  const fields = { rowId: record.rowId, obra: record.obra || "Sin Obra" };
+
+  return withLogFields(fields, async () => {
+    countMetric("counts", "audited");
+
+    if (missingImages.has(record.rowId)) {
+      countMetric("by_status", "imagen_faltante");
+      return recordMissingImage(
+        record,
+        datePath,
+        missingImages.get(record.rowId)
+      );
+    }
+
+    const elapsed = startTimer();
+    const result = await auditRecord(
+      record,
+      getImagePath(record, datePath),
+      datePath,
+      validPlacas
+    );
+    countMetric("by_status", result.status);
+    logger.info(`🏁 ${record.rowId}: ${result.status}`, {
+      status: result.status,
+      durationMs: elapsed(),
+    });
+    return result;
+  });
 }
 
 /**
  * Process all unprocessed records
+ * @param {Object} options - { missingImages } rowId → reason, from the
+ *   download step
  */
-export async function auditAllRecords(records, datePath) {
+export async function auditAllRecords(
+  records,
+  datePath,
+  { missingImages = new Map() } = {}
+) {
   const unprocessed = await getUnprocessedRecords(records, datePath);
 
   if (unprocessed.length === 0) {
-    console.log("✅ All records already processed!");
+    logger.info("✅ All records already processed!");
     return [];
   }
 
@@ -154,34 +392,66 @@ export async function auditAllRecords(records, datePath) {
   const validPlacas = bucket ? await getValidPlacas(bucket, datePath) : [];
 
   if (validPlacas.length === 0) {
-    console.log("⚠️ No valid placas found, continuing without fuzzy matching");
+    logger.warn("⚠️ No valid placas found, continuing without fuzzy matching");
   }
 
-  const results = [];
+  const concurrency = getConcurrency("AUDIT_CONCURRENCY", 2);
+  logger.info(
+    `🤖 Auditing ${unprocessed.length} records (concurrency: ${concurrency})`
+  );
 
-  for (const record of unprocessed) {
-    const imagePath = `images/${datePath}/${record.fotoVale?.split("/").pop()}`;
+  const outcomes = await mapWithConcurrency(
+    unprocessed,
+    concurrency,
+    (record) =>
+      auditOrRecordMissing(record, datePath, validPlacas, missingImages),
+    { shouldStop: () => !hasTimeLeft() }
+  );
 
-    const result = await auditRecord(record, imagePath, datePath, validPlacas);
-    results.push(result);
+  // Records never started because the time budget ran out stay unprocessed
+  const results = outcomes.filter((result) => result !== undefined);
+  if (results.length < unprocessed.length) {
+    logger.info(
+      `⏱️ Time budget reached, ${
+        unprocessed.length - results.length
+      } records left for the next run`
+    );
   }
 
   // Generate summary report
-  const successful = results.filter((r) => r.status !== "error");
+  const missing = results.filter((r) => r.status === "imagen_faltante");
   const failed = results.filter((r) => r.status === "error");
+  const deadLettered = results.filter((r) => r.status === "dead_letter");
+  const successful = results.filter(
+    (r) => !UNAUDITED_STATUSES.includes(r.status)
+  );
 
-  console.log(`\n📊 Audit Summary:`);
-  console.log(`   Total processed: ${results.length}`);
-  console.log(`   ✅ Successful: ${successful.length}`);
-  console.log(`   ❌ Failed: ${failed.length}`);
+  logger.info(
+    `\n📊 Audit Summary: ${results.length} processed, ${successful.length} successful, ${missing.length} missing image, ${failed.length} failed, ${deadLettered.length} dead letter`,
+    {
+      processed: results.length,
+      successful: successful.length,
+      missingImage: missing.length,
+      failed: failed.length,
+      deadLetter: deadLettered.length,
+    }
+  );
 
-  if (failed.length > 0) {
-    console.log(`\n⚠️  Failed records:`);
-    failed.forEach((f) => {
-      console.log(`   - ${f.row_id}: ${f.error}`);
-    });
-    console.log(`\n💡 Failed records will be retried on next run`);
+  failed.forEach((f) => {
+    logger.warn(
+      `⚠️ Failed ${f.row_id}: ${f.error} (attempt ${f.attempts}, will be retried after its backoff)`,
+      { rowId: f.row_id, obra: f.obra || "Sin Obra", attempts: f.attempts }
+    );
+  });
 
+  deadLettered.forEach((f) => {
+    logger.error(
+      `☠️ Dead-lettered ${f.row_id}: ${f.error} (${f.attempts} attempts, no more retries)`,
+      { rowId: f.row_id, obra: f.obra || "Sin Obra", attempts: f.attempts }
+    );
+  });
+
+  if (failed.length > 0 || deadLettered.length > 0) {
     // Save failed records summary to bucket
     const bucket = getBucket();
     if (bucket) {
@@ -192,6 +462,14 @@ export async function auditAllRecords(records, datePath) {
         failed_records: failed.map((f) => ({
           row_id: f.row_id,
           error: f.error,
+          attempts: f.attempts,
+          next_retry_at: f.next_retry_at,
+        })),
+        total_dead_letter: deadLettered.length,
+        dead_letter_records: deadLettered.map((f) => ({
+          row_id: f.row_id,
+          error: f.error,
+          attempts: f.attempts,
         })),
       };
       await writeJSON(
@@ -199,23 +477,127 @@ export async function auditAllRecords(records, datePath) {
         `audits/${datePath}/failure_summary.json`,
         failureSummary
       );
-      console.log(
+      logger.info(
         `📝 Saved failure summary to audits/${datePath}/failure_summary.json`
       );
     }
   }
 
-  console.log(`\n✅ Completed audit of ${results.length} records`);
+  logger.info(`\n✅ Completed audit of ${results.length} records`);
   return results;
 }
 
 /**
- * Get all audit results for a date (for reporting)
+ * Move the previous audit result(s) of a record to the history folder
+ */
+export async function archiveAuditResult(bucket, datePath, rowId) {
+  const archivedAt = new Date().toISOString();
+  const stamp = archivedAt.replace(/[:.]/g, "-");
+  const archived = [];
+
+  for (const folder of [
+    "processed",
+    "failed",
+    "manual_review",
+    "missing_image",
+    "dead_letter",
+    "reviews",
+  ]) {
+    const filePath = `audits/${datePath}/${folder}/${rowId}.json`;
+    if (!(await fileExists(bucket, filePath))) continue;
+
+    const previous = await readJSON(bucket, filePath);
+    const historyPath = `audits/${datePath}/history/${rowId}/${stamp}_${folder}.json`;
+
+    await writeJSON(bucket, historyPath, {
+      ...previous,
+      archived_at: archivedAt,
+      archived_from: filePath,
+    });
+    await deleteFile(bucket, filePath);
+    archived.push(historyPath);
+  }
+
+  return archived;
+}
+
+/**
+ * Archive the results of records and drop them from the processed index, so
+ * the next audit of the date processes them again
+ */
+export async function markForReaudit(datePath, rowIds) {
+  const bucket = getBucket();
+  if (!bucket || rowIds.length === 0) {
+    return;
+  }
+
+  for (const rowId of rowIds) {
+    const archived = await archiveAuditResult(bucket, datePath, rowId);
+    logger.info(
+      `📦 Archived ${archived.length} previous result(s) for ${rowId}`
+    );
+  }
+  await removeFromProcessedIndex(bucket, datePath, rowIds);
+}
+
+/**
+ * Re-audit specific records on demand: archive their previous results,
+ * drop them from the processed index and run the audit again. Records with
+ * no audit outcome yet are just audited (firstAudits)
+ */
+export async function reauditRecords(
+  records,
+  rowIds,
+  datePath,
+  { missingImages = new Map() } = {}
+) {
+  const targets = records.filter((record) => rowIds.includes(record.rowId));
+  const notFound = rowIds.filter(
+    (rowId) => !targets.some((record) => record.rowId === rowId)
+  );
+
+  if (notFound.length > 0) {
+    logger.warn(`⚠️ Records not found for ${datePath}: ${notFound.join(", ")}`);
+  }
+
+  const bucket = getBucket();
+  const validPlacas = bucket ? await getValidPlacas(bucket, datePath) : [];
+
+  // Only records with an audit outcome are archived: the others (never
+  // audited, or failed and waiting for a retry) get their regular audit,
+  // keeping their failed attempts
+  const processedIds = bucket ? await getProcessedRowIds(bucket, datePath) : [];
+  const firstAudits = targets
+    .map((record) => record.rowId)
+    .filter((rowId) => !processedIds.includes(rowId));
+  await markForReaudit(
+    datePath,
+    targets
+      .map((record) => record.rowId)
+      .filter((rowId) => !firstAudits.includes(rowId))
+  );
+
+  const outcomes = await mapWithConcurrency(
+    targets,
+    getConcurrency("AUDIT_CONCURRENCY", 2),
+    (record) =>
+      auditOrRecordMissing(record, datePath, validPlacas, missingImages),
+    { shouldStop: () => !hasTimeLeft() }
+  );
+  const results = outcomes.filter((result) => result !== undefined);
+
+  logger.info(`\n✅ Re-audited ${results.length} records`);
+  return { results, notFound, firstAudits };
+}
+
+/**
+ * Get all audit outcomes for a date (for reporting), failed attempts still
+ * to be retried aside (see getFailedAttempts)
  */
 export async function getAllAuditResults(datePath) {
   const bucket = getBucket();
   if (!bucket) {
-    console.log("⚠️ No bucket available");
+    logger.warn("⚠️ No bucket available");
     return [];
   }
 
@@ -228,42 +610,70 @@ export async function getAllAuditResults(datePath) {
       `audits/${datePath}/processed/`
     );
 
-    // Get all failed audit files
-    const failedFiles = await listFiles(bucket, `audits/${datePath}/failed/`);
-
     // Get all manual review files
     const manualReviewFiles = await listFiles(
       bucket,
       `audits/${datePath}/manual_review/`
     );
 
-    const allFiles = [...processedFiles, ...failedFiles, ...manualReviewFiles];
-    console.log(
-      `📂 Found ${allFiles.length} total audit files for ${datePath} (${manualReviewFiles.length} require manual review)`
+    // Get all missing image files
+    const missingImageFiles = await listFiles(
+      bucket,
+      `audits/${datePath}/missing_image/`
     );
 
+    // Get all dead-lettered files
+    const deadLetterFiles = await listFiles(
+      bucket,
+      `audits/${datePath}/dead_letter/`
+    );
+
+    const allFiles = [
+      ...processedFiles,
+      ...manualReviewFiles,
+      ...missingImageFiles,
+      ...deadLetterFiles,
+    ];
+    logger.info(
+      `📂 Found ${allFiles.length} total audit files for ${datePath} (${manualReviewFiles.length} require manual review, ${missingImageFiles.length} missing image, ${deadLetterFiles.length} dead letter)`
+    );
+
+    // Reviewer decisions replace the audit status in the reports
+    const reviews = await getReviews(bucket, datePath);
+    if (reviews.size > 0) {
+      logger.info(`📝 Found ${reviews.size} reviewed records`);
+    }
+
     // Read all audit results
     const allResults = [];
     for (const filePath of allFiles) {
       const result = await readJSON(bucket, filePath);
       if (result) {
-        allResults.push(result);
+        allResults.push(applyReview(result, reviews.get(result.row_id)));
       }
     }
 
     return allResults;
   } catch (error) {
-    console.error("Error getting all audit results:", error);
+    logger.error("Error getting all audit results", { error });
     return [];
   }
 }
 
 /**
  * Send audit reports via email - one per obra to relevant users
+ * @param {Object} options - obras: only report these (default every obra
+ *   with results or failed attempts)
  */
-export async function sendAuditReport(date, datePath, allResults, usuarios) {
+export async function sendAuditReport(
+  date,
+  datePath,
+  allResults,
+  usuarios,
+  { obras = null } = {}
+) {
   try {
-    console.log(`\n📧 Preparing email reports...`);
+    logger.info(`\n📧 Preparing email reports...`);
 
     // Format date from MM/dd/yyyy to dd/MM/yyyy for email display
     const [month, day, year] = date.split("/");
@@ -271,39 +681,43 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
 
     // ========== FOR TESTING: Send emails by obra to me only ==========
     // Set EMAIL_TEST_MODE=true in .env to send all emails to test address
-    const TEST_MODE = process.env.EMAIL_TEST_MODE === "true";
+    const TEST_MODE = getSetting("EMAIL_TEST_MODE") === "true";
     const TEST_EMAIL =
-      process.env.EMAIL_TEST_ADDRESS || "said.nader@ydn.com.co";
+      getSetting("EMAIL_TEST_ADDRESS") || "said.nader@ydn.com.co";
     // ==================================================================
 
+    // Failed attempts still to be retried are counted apart from the results
+    const failedAttempts = (await getFailedAttempts(datePath)).filter(
+      (f) => !obras || obras.includes(f.obra || "Sin Obra")
+    );
+
     // Group results by obra
     const resultsByObra = {};
     for (const result of allResults) {
       const obra = result.obra || "Sin Obra";
+      if (obras && !obras.includes(obra)) {
+        continue;
+      }
       if (!resultsByObra[obra]) {
         resultsByObra[obra] = [];
       }
       resultsByObra[obra].push(result);
     }
+    // Obras whose records all failed so far still get their report
+    for (const failure of failedAttempts) {
+      resultsByObra[failure.obra || "Sin Obra"] ||= [];
+    }
 
-    console.log(
+    logger.info(
       `📊 Found ${Object.keys(resultsByObra).length} obras with audit results`
     );
 
     // Get active usuarios eligible for audit emails (Admin, Super Admin, Auditor)
-    const eligibleRoles = ["Admin", "Super Admin", "Auditor"];
     const allUsuarios = Array.from(usuarios.values());
 
-    const activeUsuarios = allUsuarios.filter(
-      (u) =>
-        u.estado_usuario?.toUpperCase() === "ACTIVO" &&
-        eligibleRoles.some(
-          (role) => role.toLowerCase() === u.rol?.toLowerCase()
-        ) &&
-        u.correo
-    );
+    const activeUsuarios = allUsuarios.filter(isEligibleUsuario);
 
-    console.log(
+    logger.info(
       `👥 Found ${activeUsuarios.length} active users with eligible roles`
     );
 
@@ -312,7 +726,7 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
 
     // For each obra, send email to relevant users
     for (const [obraName, obraResults] of Object.entries(resultsByObra)) {
-      console.log(`\n📧 Processing emails for obra: ${obraName}`);
+      logger.info(`\n📧 Processing emails for obra: ${obraName}`);
 
       // Find users who have access to this obra
       const recipientsForObra = activeUsuarios.filter((u) =>
@@ -320,13 +734,21 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
       );
 
       if (recipientsForObra.length === 0) {
-        console.log(`⚠️ No recipients found for obra: ${obraName}`);
+        logger.warn(`⚠️ No recipients found for obra: ${obraName}`);
         continue;
       }
 
       // Calculate summary for this obra
-      const successful = obraResults.filter((r) => r.status !== "error");
-      const failed = obraResults.filter((r) => r.status === "error");
+      const successful = obraResults.filter(
+        (r) => !UNAUDITED_STATUSES.includes(r.status)
+      );
+      const failed = failedAttempts.filter(
+        (r) => (r.obra || "Sin Obra") === obraName
+      );
+      const deadLetter = obraResults.filter((r) => r.status === "dead_letter");
+      const missingImage = obraResults.filter(
+        (r) => r.status === "imagen_faltante"
+      );
       const manualReview = obraResults.filter(
         (r) => r.status === "requiere_revision_manual"
       );
@@ -343,20 +765,38 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
         approved: approved.length,
         discrepancies: discrepancies.length,
         manualReview: manualReview.length,
+        missingImage: missingImage.length,
+        deadLetter: deadLetter.length,
+        reviewed: obraResults.filter((r) => r.revision).length,
+        deadLetterRecords: deadLetter.map((r) => ({
+          row_id: r.row_id,
+          attempts: r.attempts,
+          error: r.error,
+        })),
       };
 
       // Generate Excel report for this obra
       const excelBuffer = await exportAuditToExcelBuffer(obraResults);
 
+      // Personal review queue links (null when not configured or nothing is
+      // pending); each recipient then gets their own email
+      const hasPendingReviews = obraResults.some((r) =>
+        PENDING_REVIEW_STATUSES.includes(r.status)
+      );
+      const reviewLinkFor = (user) =>
+        hasPendingReviews
+          ? createReviewLink(user.correo, date, obraName)
+          : null;
+
       // Send email to recipients
       const recipientEmails = recipientsForObra.map((u) => u.correo).join(", ");
 
       if (TEST_MODE) {
         // In TEST_MODE: Send individual email to test address for EACH eligible user
-        console.log(
+        logger.info(
           `📬 [TEST MODE] Would send to ${recipientsForObra.length} users: ${recipientEmails}`
         );
-        console.log(
+        logger.info(
           `📬 [TEST MODE] Sending ${recipientsForObra.length} individual emails to: ${TEST_EMAIL}`
         );
 
@@ -367,16 +807,36 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
             excelBuffer,
             summary,
             transporter,
-            `${obraName} - [Para: ${user.correo}]`
+            `${obraName} - [Para: ${user.correo}]`,
+            reviewLinkFor(user)
           );
           emailsSent++;
-          console.log(
+          countMetric("emails", obraName);
+          logger.info(
             `  ✅ Sent test email for user: ${user.correo} (${user.rol})`
           );
         }
+      } else if (recipientsForObra.some(reviewLinkFor)) {
+        // Review links are personal: send one email per recipient
+        for (const user of recipientsForObra) {
+          await sendAuditEmail(
+            user.correo,
+            formattedDate,
+            excelBuffer,
+            summary,
+            transporter,
+            obraName,
+            reviewLinkFor(user)
+          );
+          countMetric("emails", obraName);
+        }
+        emailsSent++;
+        logger.info(
+          `✅ Email sent for obra: ${obraName} (${recipientsForObra.length} recipients, with review links)`
+        );
       } else {
         // Production: Send one email to all recipients
-        console.log(`📬 Sending to: ${recipientEmails}`);
+        logger.info(`📬 Sending to: ${recipientEmails}`);
         await sendAuditEmail(
           recipientEmails,
           formattedDate,
@@ -386,15 +846,16 @@ export async function sendAuditReport(date, datePath, allResults, usuarios) {
           obraName
         );
         emailsSent++;
-        console.log(
+        countMetric("emails", obraName);
+        logger.info(
           `✅ Email sent for obra: ${obraName} (${recipientsForObra.length} recipients)`
         );
       }
     }
 
-    console.log(`\n✅ All emails sent: ${emailsSent} obras processed`);
+    logger.info(`\n✅ All emails sent: ${emailsSent} obras processed`);
   } catch (error) {
-    console.error(`❌ Failed to send email report:`, error.message);
+    logger.error(`❌ Failed to send email report`, { error });
     throw error;
   }
 }
@@ -0,0 +1,188 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { OAuth2Client } from "google-auth-library";
+import { logger } from "./logger.js";
+
+/**
+ * Authentication of callers of the HTTP functions
+ *
+ * Two ways in:
+ * - OIDC: a Google-signed ID token in "Authorization: Bearer", as sent by
+ *   Cloud Scheduler. The audience must be one of AUTH_OIDC_AUDIENCES and the
+ *   email one of AUTH_ALLOWED_EMAILS.
+ * - HMAC: for local or other callers sharing AUTH_HMAC_SECRET. The request
+ *   carries a unix timestamp in X-Audit-Timestamp and, in X-Audit-Signature,
+ *   the hex HMAC-SHA256 of "<timestamp>.<query string>.<raw body>". Requests
+ *   older than AUTH_HMAC_TOLERANCE_SECONDS (default 300) are rejected so a
+ *   captured request cannot be replayed later.
+ *
+ * AUTH_DISABLED=true turns authentication off (local development only).
+ */
+
+const GOOGLE_ISSUERS = ["https://accounts.google.com", "accounts.google.com"];
+
+export const TIMESTAMP_HEADER = "x-audit-timestamp";
+export const SIGNATURE_HEADER = "x-audit-signature";
+
+const oidcClient = new OAuth2Client();
+
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Query string of a request, without the "?"
+ */
+function getQueryString(req) {
+  const url = req.originalUrl || req.url || "";
+  const index = url.indexOf("?");
+  return index === -1 ? "" : url.slice(index + 1);
+}
+
+/**
+ * Signature for an HMAC-authenticated request
+ * @param {string} secret - Shared secret (AUTH_HMAC_SECRET)
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string|Buffer} body - Raw request body, exactly as sent
+ * @param {string} query - Query string without the "?"
+ */
+export function createRequestSignature(
+  secret,
+  timestamp,
+  body = "",
+  query = ""
+) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${query}.`)
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * Headers to send with a signed request
+ */
+export function createSignedHeaders(secret, body = "", query = "") {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    "X-Audit-Timestamp": timestamp,
+    "X-Audit-Signature": createRequestSignature(secret, timestamp, body, query),
+  };
+}
+
+async function verifyOidcToken(idToken) {
+  const audiences = parseList(process.env.AUTH_OIDC_AUDIENCES);
+  const allowedEmails = parseList(process.env.AUTH_ALLOWED_EMAILS).map((e) =>
+    e.toLowerCase()
+  );
+  if (audiences.length === 0 || allowedEmails.length === 0) {
+    return { error: "OIDC authentication is not configured" };
+  }
+
+  let payload;
+  try {
+    const ticket = await oidcClient.verifyIdToken({
+      idToken,
+      audience: audiences,
+    });
+    payload = ticket.getPayload();
+  } catch (error) {
+    return { error: `Invalid ID token: ${error.message}` };
+  }
+
+  if (!GOOGLE_ISSUERS.includes(payload?.iss)) {
+    return { error: `Unexpected token issuer ${payload?.iss}` };
+  }
+  const email = String(payload.email || "").toLowerCase();
+  if (!payload.email_verified || !allowedEmails.includes(email)) {
+    return { error: `Caller ${email || "(no email)"} is not allowed` };
+  }
+
+  return { caller: { method: "oidc", email } };
+}
+
+function verifyHmacSignature(req) {
+  const secret = process.env.AUTH_HMAC_SECRET;
+  if (!secret) {
+    return { error: "HMAC authentication is not configured" };
+  }
+
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const signature = req.get(SIGNATURE_HEADER);
+  if (!/^\d+$/.test(timestamp || "") || !signature) {
+    return { error: "Missing request timestamp or signature" };
+  }
+
+  const toleranceSeconds = parseInt(
+    process.env.AUTH_HMAC_TOLERANCE_SECONDS || "300"
+  );
+  const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (ageSeconds > toleranceSeconds) {
+    return { error: "Request timestamp is outside the allowed window" };
+  }
+
+  const expected = Buffer.from(
+    createRequestSignature(
+      secret,
+      timestamp,
+      req.rawBody || "",
+      getQueryString(req)
+    )
+  );
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return { error: "Invalid request signature" };
+  }
+
+  return { caller: { method: "hmac" } };
+}
+
+/**
+ * Check who is calling an HTTP function
+ * @returns {Promise<Object>} - { caller } when authenticated, { error } if not
+ */
+export async function authenticateRequest(req) {
+  if (process.env.AUTH_DISABLED === "true") {
+    return { caller: { method: "disabled" } };
+  }
+
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return verifyOidcToken(authorization.slice("Bearer ".length).trim());
+  }
+  if (req.get(SIGNATURE_HEADER)) {
+    return verifyHmacSignature(req);
+  }
+
+  return { error: "Missing credentials" };
+}
+
+/**
+ * Reject unauthenticated requests with 401
+ * @returns {Promise<Object|null>} - The caller ({ method, email }) when the
+ *   handler may continue, null once the request was rejected
+ */
+export async function requireAuth(req, res) {
+  const { caller, error } = await authenticateRequest(req);
+
+  if (!caller) {
+    logger.warn(`🔐 Unauthorized request: ${error}`);
+    res.status(401).send("Unauthorized");
+    return null;
+  }
+
+  if (caller.method === "disabled") {
+    logger.warn("⚠️ AUTH_DISABLED=true: request accepted without credentials");
+  } else {
+    logger.info(
+      `🔐 Authenticated via ${caller.method}${
+        caller.email ? ` as ${caller.email}` : ""
+      }`
+    );
+  }
+  return caller;
+}
@@ -1,21 +1,28 @@
-import { Storage } from "@google-cloud/storage";
-import { existsSync } from "fs";
 import path from "path";
+import { getContext } from "./context.js";
+import { logger } from "./logger.js";
+import { getTenant } from "./tenants.js";
+import { createStorageFromConfig, createPrefixedStorage } from "./storage.js";
 
+/**
+ * Get the storage backend of the current run (see storage.js): GCS or a
+ * local directory depending on STORAGE_BACKEND, or the in-memory overlay
+ * during a dry run, scoped to the storage prefix of the run's tenant. The
+ * helpers below take it as their `bucket` argument.
+ */
 export function getBucket() {
+  const { dryRun } = getContext();
+  let bucket;
   try {
-    const bucketName = process.env.GCP_BUCKET_NAME;
-    const storage = existsSync("service-account.json")
-      ? new Storage({
-          keyFilename: "service-account.json",
-        })
-      : new Storage();
-
-    return storage.bucket(bucketName);
+    bucket = dryRun ? dryRun.bucket : createStorageFromConfig();
   } catch (error) {
-    console.error("Error initializing GCP Storage:", error);
+    logger.error("Error initializing storage", { error });
     return null;
   }
+
+  // A tenant with an empty prefix keeps its data at the root
+  const prefix = getTenant()?.storagePrefix;
+  return prefix ? createPrefixedStorage(bucket, prefix) : bucket;
 }
 
 /**
@@ -23,11 +30,9 @@ export function getBucket() {
  */
 export async function fileExists(bucket, filePath) {
   try {
-    const file = bucket.file(filePath);
-    const [exists] = await file.exists();
-    return exists;
+    return await bucket.exists(filePath);
   } catch (error) {
-    console.error(`Error checking file existence: ${filePath}`, error);
+    logger.error(`Error checking file existence: ${filePath}`, { error });
     return false;
   }
 }
@@ -37,11 +42,9 @@ export async function fileExists(bucket, filePath) {
  */
 export async function readJSON(bucket, filePath) {
   try {
-    const file = bucket.file(filePath);
-    const [contents] = await file.download();
-    return JSON.parse(contents.toString());
+    return await bucket.readJSON(filePath);
   } catch (error) {
-    console.error(`Error reading JSON from bucket: ${filePath}`, error);
+    logger.error(`Error reading JSON from bucket: ${filePath}`, { error });
     return null;
   }
 }
@@ -51,33 +54,47 @@ export async function readJSON(bucket, filePath) {
  */
 export async function writeJSON(bucket, filePath, data) {
   try {
-    const file = bucket.file(filePath);
-    await file.save(JSON.stringify(data, null, 2), {
-      contentType: "application/json",
-      metadata: {
-        cacheControl: "no-cache",
-      },
-    });
-    console.log(`✅ Saved JSON to bucket: ${filePath}`);
+    await bucket.writeJSON(filePath, data);
+    logger.debug(`✅ Saved JSON to bucket: ${filePath}`);
     return true;
   } catch (error) {
-    console.error(`Error writing JSON to bucket: ${filePath}`, error);
+    logger.error(`Error writing JSON to bucket: ${filePath}`, { error });
     return false;
   }
 }
 
+/**
+ * Read JSON file together with its object generation
+ * @returns {Object|null} - { data, generation } or null if the file is missing
+ */
+export async function readJSONWithGeneration(bucket, filePath) {
+  return bucket.readJSONWithGeneration(filePath);
+}
+
+/**
+ * Write JSON file only if it is still at the given generation (0 = the file
+ * must not exist yet)
+ * @returns {string|null} - New generation, or null if another writer won
+ */
+export async function writeJSONIfGenerationMatch(
+  bucket,
+  filePath,
+  data,
+  generation
+) {
+  return bucket.writeJSONIfGenerationMatch(filePath, data, generation);
+}
+
 /**
  * Upload a file to the bucket
  */
 export async function uploadFile(bucket, localPath, destPath) {
   try {
-    await bucket.upload(localPath, {
-      destination: destPath,
-    });
-    console.log(`✅ Uploaded file to bucket: ${destPath}`);
+    await bucket.upload(localPath, destPath);
+    logger.debug(`✅ Uploaded file to bucket: ${destPath}`);
     return true;
   } catch (error) {
-    console.error(`Error uploading file to bucket: ${destPath}`, error);
+    logger.error(`Error uploading file to bucket: ${destPath}`, { error });
     return false;
   }
 }
@@ -87,12 +104,25 @@ export async function uploadFile(bucket, localPath, destPath) {
  */
 export async function downloadFile(bucket, filePath, destPath) {
   try {
-    const file = bucket.file(filePath);
-    await file.download({ destination: destPath });
-    console.log(`✅ Downloaded file from bucket: ${filePath}`);
+    await bucket.download(filePath, destPath);
+    logger.debug(`✅ Downloaded file from bucket: ${filePath}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error downloading file from bucket: ${filePath}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Delete a file from the bucket (optionally only at a given generation)
+ */
+export async function deleteFile(bucket, filePath, options = {}) {
+  try {
+    await bucket.delete(filePath, options);
+    logger.debug(`🗑️ Deleted file from bucket: ${filePath}`);
     return true;
   } catch (error) {
-    console.error(`Error downloading file from bucket: ${filePath}`, error);
+    logger.error(`Error deleting file from bucket: ${filePath}`, { error });
     return false;
   }
 }
@@ -102,14 +132,20 @@ export async function downloadFile(bucket, filePath, destPath) {
  */
 export async function listFiles(bucket, prefix) {
   try {
-    const [files] = await bucket.getFiles({ prefix });
-    return files.map((file) => file.name);
+    return await bucket.list(prefix);
   } catch (error) {
-    console.error(`Error listing files with prefix: ${prefix}`, error);
+    logger.error(`Error listing files with prefix: ${prefix}`, { error });
     return [];
   }
 }
 
+/**
+ * Public URL of a file (used for the image links in reports)
+ */
+export function getPublicUrl(bucket, filePath) {
+  return bucket.publicUrl(filePath);
+}
+
 /**
  * Get all processed audit row IDs for a given date (using index for performance)
  */
@@ -121,7 +157,7 @@ export async function getProcessedRowIds(bucket, datePath) {
     if (await fileExists(bucket, indexPath)) {
       const index = await readJSON(bucket, indexPath);
       if (index && index.processed_ids) {
-        console.log(
+        logger.debug(
           `📋 Loaded ${index.processed_ids.length} processed IDs from index`
         );
         return index.processed_ids;
@@ -129,7 +165,7 @@ export async function getProcessedRowIds(bucket, datePath) {
     }
 
     // Fallback: List individual files (slow path)
-    console.log("⚠️ No index found, listing files...");
+    logger.warn("⚠️ No index found, listing files...");
     const prefix = `audits/${datePath}/processed/`;
     const fileNames = await listFiles(bucket, prefix);
     const processedIds = fileNames.map((name) => path.basename(name, ".json"));
@@ -141,26 +177,82 @@ export async function getProcessedRowIds(bucket, datePath) {
 
     return processedIds;
   } catch (error) {
-    console.error("Error getting processed row IDs:", error);
+    logger.error("Error getting processed row IDs", { error });
     return [];
   }
 }
 
+// Pending index updates per date path, so parallel audits in this process
+// never interleave their read-modify-write of index.json
+const indexQueues = new Map();
+
+function queueIndexUpdate(datePath, update) {
+  const previous = indexQueues.get(datePath) || Promise.resolve();
+  const next = previous.then(update, update);
+  const cleanup = () => {
+    if (indexQueues.get(datePath) === next) indexQueues.delete(datePath);
+  };
+  indexQueues.set(datePath, next);
+  next.then(cleanup, cleanup);
+  return next;
+}
+
+/**
+ * Read-modify-write the index with a generation-match precondition, retrying
+ * when another run updated it in between (so no run loses another's IDs)
+ * @param {Function} modify - Gets the current IDs, returns the new IDs or null
+ *   when nothing changes
+ */
+async function modifyProcessedIndex(bucket, datePath, modify) {
+  const indexPath = `audits/${datePath}/index.json`;
+  const maxAttempts = 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const current = await readJSONWithGeneration(bucket, indexPath);
+    const processedIds = current?.data?.processed_ids || [];
+    const updatedIds = modify(processedIds);
+
+    if (!updatedIds) {
+      return processedIds;
+    }
+
+    const written = await writeJSONIfGenerationMatch(
+      bucket,
+      indexPath,
+      {
+        processed_ids: updatedIds,
+        count: updatedIds.length,
+        last_updated: new Date().toISOString(),
+      },
+      current ? current.generation : 0
+    );
+
+    if (written) {
+      return updatedIds;
+    }
+
+    logger.info(
+      `🔄 Index changed by another run, retrying update (${
+        attempt + 1
+      }/${maxAttempts})`
+    );
+    await new Promise((resolve) =>
+      setTimeout(resolve, 100 * 2 ** attempt + Math.random() * 100)
+    );
+  }
+
+  throw new Error(`Could not update ${indexPath}: too many concurrent writes`);
+}
+
 /**
  * Update the index.json file with processed record IDs
  */
 export async function updateProcessedIndex(bucket, datePath, processedIds) {
   try {
-    const indexPath = `audits/${datePath}/index.json`;
-    const indexData = {
-      processed_ids: processedIds,
-      count: processedIds.length,
-      last_updated: new Date().toISOString(),
-    };
-    await writeJSON(bucket, indexPath, indexData);
+    await modifyProcessedIndex(bucket, datePath, () => processedIds);
     return true;
   } catch (error) {
-    console.error("Error updating processed index:", error);
+    logger.error("Error updating processed index", { error });
     return false;
   }
 }
@@ -168,29 +260,62 @@ export async function updateProcessedIndex(bucket, datePath, processedIds) {
 /**
  * Add a single record ID to the index (incremental update)
  */
-export async function addToProcessedIndex(bucket, datePath, rowId) {
-  try {
-    const indexPath = `audits/${datePath}/index.json`;
-    let processedIds = [];
-
-    // Read existing index
-    if (await fileExists(bucket, indexPath)) {
-      const index = await readJSON(bucket, indexPath);
-      processedIds = index?.processed_ids || [];
+export function addToProcessedIndex(bucket, datePath, rowId) {
+  return queueIndexUpdate(datePath, async () => {
+    try {
+      const processedIds = await modifyProcessedIndex(bucket, datePath, (ids) =>
+        ids.includes(rowId) ? null : [...ids, rowId]
+      );
+      logger.debug(`✅ Added ${rowId} to index (${processedIds.length} total)`);
+      return true;
+    } catch (error) {
+      logger.error("Error adding to processed index", { error });
+      return false;
     }
+  });
+}
 
-    // Add new ID if not already present
-    if (!processedIds.includes(rowId)) {
-      processedIds.push(rowId);
-      await updateProcessedIndex(bucket, datePath, processedIds);
-      console.log(`✅ Added ${rowId} to index (${processedIds.length} total)`);
+/**
+ * Remove record IDs from the index so they are picked up again
+ */
+export function removeFromProcessedIndex(bucket, datePath, rowIds) {
+  return queueIndexUpdate(datePath, async () => {
+    try {
+      const remaining = await modifyProcessedIndex(bucket, datePath, (ids) =>
+        ids.some((id) => rowIds.includes(id))
+          ? ids.filter((id) => !rowIds.includes(id))
+          : null
+      );
+      logger.info(
+        `✅ Removed ${rowIds.join(", ")} from index (${remaining.length} total)`
+      );
+      return true;
+    } catch (error) {
+      logger.error("Error removing from processed index", { error });
+      return false;
     }
+  });
+}
 
-    return true;
-  } catch (error) {
-    console.error("Error adding to processed index:", error);
-    return false;
+/**
+ * Read the run state of a date (checkpoint shared across invocations)
+ */
+export async function getRunState(bucket, datePath) {
+  const statePath = `audits/${datePath}/run_state.json`;
+  if (!(await fileExists(bucket, statePath))) {
+    return null;
   }
+  return readJSON(bucket, statePath);
+}
+
+/**
+ * Save the run state of a date (stage, remaining rowIds, report status)
+ */
+export async function saveRunState(bucket, datePath, state) {
+  return writeJSON(bucket, `audits/${datePath}/run_state.json`, {
+    ...state,
+    updated_at: new Date().toISOString(),
+  });
 }
 
 /**
@@ -203,15 +328,17 @@ export async function getValidPlacas(bucket, datePath) {
     if (await fileExists(bucket, extractionPath)) {
       const extraction = await readJSON(bucket, extractionPath);
       if (extraction && extraction.valid_placas) {
-        console.log(`📋 Loaded ${extraction.valid_placas.length} valid placas`);
+        logger.debug(
+          `📋 Loaded ${extraction.valid_placas.length} valid placas`
+        );
         return extraction.valid_placas;
       }
     }
 
-    console.log("⚠️ No valid placas found in cache");
+    logger.warn("⚠️ No valid placas found in cache");
     return [];
   } catch (error) {
-    console.error("Error getting valid placas:", error);
+    logger.error("Error getting valid placas", { error });
     return [];
   }
 }
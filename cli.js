@@ -0,0 +1,399 @@
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import dotenv from "dotenv";
+import {
+  parseAuditJob,
+  parseReauditJob,
+  parseResendJob,
+  parseRowIds,
+  runJob,
+} from "./jobs.js";
+import { getAllAuditResults, getFailedAttempts } from "./audit.js";
+import { exportAuditToExcelBuffer } from "./excel.js";
+import { getBucket, getRunState } from "./bucket.js";
+import { getRunLockHolder } from "./lock.js";
+import { getRunManifests } from "./metrics.js";
+import { getAppSheetMapping } from "./mapping.js";
+import { resolveTenants, resolveTenant, withTenant } from "./tenants.js";
+import { resolveAuditDates, getDatePath } from "./utils.js";
+
+/**
+ * Command-line runner for operators
+ *
+ *   node cli.js <command> [options]
+ *
+ * Every command prints a human-readable summary, or with --json only the
+ * result as JSON on stdout (progress logs then go to stderr). audit, rerun
+ * and resend-email run the same jobs as the HTTP functions (jobs.js), run
+ * lock and time budget included.
+ */
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  audit          Run the full pipeline     --date | --from --to, --dry-run,
+                                           --refresh (re-query AppSheet)
+  rerun          Re-audit records          --date, --row <rowId> (repeatable),
+                                           --resend-email, --dry-run
+  report         Audit results of a date   --date, --obra, --output <file.xlsx>
+  status         Progress of a date        --date
+  resend-email   Send the reports again    --date, --obra, --dry-run
+
+Dates are yyyy-MM-dd or MM/dd/yyyy (default: yesterday).
+With tenants configured, --tenant <id> picks one (audit: default all).
+Add --json to any command for machine-readable output.`;
+
+const OPTIONS = {
+  date: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  row: { type: "string", multiple: true },
+  obra: { type: "string" },
+  tenant: { type: "string" },
+  output: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  "resend-email": { type: "boolean", default: false },
+  refresh: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+function getSingleDate(options) {
+  if (options.from || options.to) {
+    throw new UsageError("This command takes a single --date");
+  }
+  try {
+    return resolveAuditDates({ date: options.date })[0];
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function getTenant(options) {
+  try {
+    return resolveTenant(options.tenant);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function countByStatus(results) {
+  const counts = {};
+  for (const result of results) {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  }
+  return counts;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([status, count]) => `    ${status}: ${count}`);
+}
+
+function filterByObra(results, obra) {
+  return obra
+    ? results.filter((r) => (r.obra || "Sin Obra") === obra)
+    : results;
+}
+
+/**
+ * Job of jobs.js from the command options, its errors as usage errors
+ */
+function parseCommandJob(parse, params) {
+  try {
+    return parse(params);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+async function auditCommand(options) {
+  const job = parseCommandJob(parseAuditJob, {
+    date: options.date,
+    from: options.from,
+    to: options.to,
+    refresh: options.refresh,
+    tenant: options.tenant,
+    dryRun: options["dry-run"],
+  });
+  const { statusCode, body } = await runJob(job);
+
+  return {
+    exitCode: statusCode === 200 ? 0 : 1,
+    data: body,
+    lines: [
+      ...body.dates.map((r) =>
+        r.success === false
+          ? `❌ ${r.tenant ? `${r.tenant} ` : ""}${r.date}: ${r.error}`
+          : `${r.tenant ? `${r.tenant} ` : ""}${r.date}: ${r.status} (${
+              r.audited ?? 0
+            }/${r.total_records ?? 0} audited)${
+              r.report_sent ? ", report sent" : ""
+            }`
+      ),
+      body.message,
+    ],
+  };
+}
+
+async function rerunCommand(options) {
+  const date = getSingleDate(options);
+  if (parseRowIds(options.row).length === 0) {
+    throw new UsageError("rerun needs at least one --row <rowId>");
+  }
+
+  const job = parseCommandJob(parseReauditJob, {
+    date,
+    rowIds: options.row,
+    resendReport: options["resend-email"],
+    tenant: options.tenant,
+    dryRun: options["dry-run"],
+  });
+  const { statusCode, body } = await runJob(job);
+
+  if (statusCode !== 200) {
+    return { exitCode: 1, data: body, lines: [body.message] };
+  }
+
+  return {
+    exitCode: 0,
+    data: body,
+    lines: [
+      `${date}: re-audited ${body.reaudited.length} records`,
+      ...body.reaudited.map(
+        (r) => `    ${r.row_id}: ${r.status}${r.error ? ` (${r.error})` : ""}`
+      ),
+      ...(body.not_found.length > 0
+        ? [`⚠️ Not found: ${body.not_found.join(", ")}`]
+        : []),
+      ...(body.first_audits.length > 0
+        ? [`🆕 Never audited before: ${body.first_audits.join(", ")}`]
+        : []),
+      ...(body.in_progress.length > 0
+        ? [`🔒 Being re-audited by another run: ${body.in_progress.join(", ")}`]
+        : []),
+      ...(body.report_sent ? ["📧 Report sent again"] : []),
+    ],
+  };
+}
+
+async function reportCommand(options) {
+  const date = getSingleDate(options);
+  const results = filterByObra(
+    await withTenant(getTenant(options), () =>
+      getAllAuditResults(getDatePath(date))
+    ),
+    options.obra
+  );
+
+  const obras = {};
+  for (const result of results) {
+    const obra = result.obra || "Sin Obra";
+    (obras[obra] ||= []).push(result);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, await exportAuditToExcelBuffer(results));
+  }
+
+  return {
+    exitCode: 0,
+    data: {
+      date,
+      obras: Object.fromEntries(
+        Object.entries(obras).map(([obra, obraResults]) => [
+          obra,
+          { total: obraResults.length, by_status: countByStatus(obraResults) },
+        ])
+      ),
+      output: options.output || null,
+      results,
+    },
+    lines: [
+      `${date}: ${results.length} audit results`,
+      ...Object.entries(obras).flatMap(([obra, obraResults]) => [
+        `  ${obra} (${obraResults.length})`,
+        ...formatCounts(countByStatus(obraResults)),
+      ]),
+      ...(options.output ? [`📄 Excel written to ${options.output}`] : []),
+    ],
+  };
+}
+
+async function statusCommand(options) {
+  const date = getSingleDate(options);
+  const datePath = getDatePath(date);
+
+  const { runState, lock, byStatus, failed, runs } = await withTenant(
+    getTenant(options),
+    async () => {
+      const bucket = getBucket();
+      return {
+        runState: bucket ? await getRunState(bucket, datePath) : null,
+        lock: await getRunLockHolder(datePath),
+        byStatus: countByStatus(await getAllAuditResults(datePath)),
+        failed: (await getFailedAttempts(datePath)).map((f) => ({
+          row_id: f.row_id,
+          attempts: f.attempts,
+          next_retry_at: f.next_retry_at,
+          error: f.error,
+        })),
+        runs: await getRunManifests(datePath, 3),
+      };
+    }
+  );
+
+  return {
+    exitCode: 0,
+    data: {
+      date,
+      date_path: datePath,
+      run_state: runState,
+      lock,
+      by_status: byStatus,
+      failed_attempts: failed,
+      runs,
+    },
+    lines: [
+      `${date} (${datePath})`,
+      runState
+        ? `  Run: ${runState.status} at stage ${runState.stage}, ${
+            runState.invocations
+          } invocation(s), ${runState.remaining_row_ids?.length || 0} remaining`
+        : "  Run: not started",
+      `  Report: ${
+        runState?.report_sent
+          ? `sent at ${runState.report_sent_at}`
+          : "not sent"
+      }`,
+      `  Lock: ${
+        lock ? `held by ${lock.owner} until ${lock.expires_at}` : "free"
+      }`,
+      ...runs.map(
+        (run) =>
+          `  Invocation ${run.run_id} (${run.trigger}): ${
+            run.status
+          }, started ${run.started_at}${
+            run.duration_ms != null ? `, ${run.duration_ms} ms` : ""
+          }, ${run.total_errors} error(s)`
+      ),
+      "  Results:",
+      ...formatCounts(byStatus),
+      ...(failed.length > 0
+        ? [
+            `  Failed attempts (${failed.length}, to be retried):`,
+            ...failed.map(
+              (f) =>
+                `    ${f.row_id}: attempt ${f.attempts}, next retry after ${f.next_retry_at}`
+            ),
+          ]
+        : []),
+    ],
+  };
+}
+
+async function resendEmailCommand(options) {
+  const job = parseCommandJob(parseResendJob, {
+    date: getSingleDate(options),
+    obra: options.obra,
+    tenant: options.tenant,
+    dryRun: options["dry-run"],
+  });
+  const { statusCode, body } = await runJob(job);
+
+  return {
+    exitCode: statusCode === 200 ? 0 : 1,
+    data: body,
+    lines: [body.message],
+  };
+}
+
+const COMMANDS = {
+  audit: auditCommand,
+  rerun: rerunCommand,
+  report: reportCommand,
+  status: statusCommand,
+  "resend-email": resendEmailCommand,
+};
+
+/**
+ * Run a CLI command
+ * @param {string[]} args - Arguments after "node cli.js"
+ * @param {Object} io - { stdout, stderr } streams (for tests)
+ * @returns {Promise<number>} - Exit code (0 ok, 1 failed, 2 usage error)
+ */
+export async function runCli(
+  args,
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  let command;
+  let options;
+  try {
+    const parsed = parseArgs({
+      args,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    [command] = parsed.positionals;
+    options = parsed.values;
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (options.help || !command) {
+    stdout.write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  // Keep stdout for the JSON result only
+  const log = console.log;
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  try {
+    const { exitCode, data, lines } = await COMMANDS[command](options);
+    stdout.write(
+      options.json
+        ? `${JSON.stringify(data, null, 2)}\n`
+        : `\n${lines.join("\n")}\n`
+    );
+    return exitCode;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    stderr.write(`❌ ${command} failed: ${error.message}\n`);
+    if (error.stack) stderr.write(`${error.stack}\n`);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  if (fs.existsSync(".env")) {
+    dotenv.config();
+  }
+  // Plain log lines in a terminal unless LOG_FORMAT says otherwise
+  process.env.LOG_FORMAT ||= "text";
+  try {
+    for (const tenant of resolveTenants()) {
+      withTenant(tenant, () => getAppSheetMapping());
+    }
+    process.exitCode = await runCli(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`❌ ${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,37 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a per-invocation context (e.g. dry run state)
+ */
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the current invocation (empty object outside a run)
+ */
+export function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Deadline for an invocation started now (RUN_TIME_BUDGET_MS, default 7 min)
+ */
+export function createDeadline() {
+  const budgetMs = parseInt(process.env.RUN_TIME_BUDGET_MS || "420000");
+  return Date.now() + budgetMs;
+}
+
+/**
+ * Whether the current invocation can still start new work (not once its time
+ * budget is spent, nor once it lost the run lock of its date)
+ */
+export function hasTimeLeft() {
+  const { deadline, lease } = getContext();
+  if (lease?.lost) {
+    return false;
+  }
+  return !deadline || Date.now() < deadline;
+}
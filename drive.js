@@ -2,10 +2,18 @@ import fs from "fs";
 import path from "path";
 import { google } from "googleapis";
 import fsSync from "fs";
+import { getContext } from "./context.js";
+import { getSetting } from "./tenants.js";
 
 export async function getDriveClient() {
+  // A client injected in the run context (e.g. a fake in tests) wins
+  const { drive: contextDrive } = getContext();
+  if (contextDrive) {
+    return contextDrive;
+  }
+
   const KEYFILEPATH =
-    process.env.DRIVE_KEYFILE_PATH || "./service-account.json";
+    getSetting("DRIVE_KEYFILE_PATH") || "./service-account.json";
 
   const auth = new google.auth.GoogleAuth({
     ...(fsSync.existsSync(KEYFILEPATH) ? { keyFile: KEYFILEPATH } : {}),
@@ -22,9 +30,16 @@ export async function getDriveClient() {
   return drive;
 }
 
+/**
+ * Id of a vale photo by its file name, only looked up in DRIVE_FOLDER_ID when
+ * set (so tenants sharing a Drive account never get each other's photos)
+ */
 export async function findFileIdByName(drive, fileName) {
+  const folderId = getSetting("DRIVE_FOLDER_ID");
   const res = await drive.files.list({
-    q: `name='${fileName}' and trashed=false`,
+    q: `name='${fileName}' and trashed=false${
+      folderId ? ` and '${folderId}' in parents` : ""
+    }`,
     fields: "files(id, name)",
     spaces: "drive",
   });
@@ -0,0 +1,21 @@
+import { createStorageFromConfig, createDryRunStorage } from "./storage.js";
+
+/**
+ * Create the state for a dry run: an in-memory storage overlay plus the
+ * report of everything the run would have written or sent
+ */
+export function createDryRun() {
+  const report = {
+    writes: {},
+    uploads: [],
+    deletes: [],
+    emails: [],
+    appsheet_edits: [],
+  };
+
+  return {
+    report,
+    bucket: createDryRunStorage(createStorageFromConfig(), report),
+    outputDir: process.env.DRY_RUN_OUTPUT_DIR || "./dry_run_output",
+  };
+}
@@ -1,8 +1,12 @@
 import { fileURLToPath } from "url";
 import fs from "fs";
 import handlebars from "handlebars";
-import { getBogotaDateString } from "./utils.js";
+import { getBusinessDateString, escapeHtml } from "./utils.js";
 import nodemailer from "nodemailer";
+import path from "path";
+import { getContext } from "./context.js";
+import { getSetting } from "./tenants.js";
+import { logger } from "./logger.js";
 
 export function renderTemplate(data) {
   const fileUrl = new URL("./plantilla-resumen-consumos.hbs", import.meta.url);
@@ -15,11 +19,11 @@ export function renderTemplate(data) {
 export async function sendResumenEmail(to, name, attachments, transporter) {
   const html = renderTemplate({
     name,
-    date: getBogotaDateString("dd/MM/yyyy"),
+    date: getBusinessDateString("dd/MM/yyyy"),
   });
 
   await transporter.sendMail({
-    from: `"${process.env.EMAIL_NAME}" <${process.env.EMAIL_FROM}>`,
+    from: `"${getSetting("EMAIL_NAME")}" <${getSetting("EMAIL_FROM")}>`,
     to,
     subject: "Resumen de consumo de materiales",
     html,
@@ -28,20 +32,59 @@ export async function sendResumenEmail(to, name, attachments, transporter) {
 }
 
 /**
- * Create nodemailer transporter
+ * Create nodemailer transporter (renders to disk during a dry run, or the
+ * transporter injected in the run context)
  */
 export function createTransporter() {
+  const { dryRun, transporter } = getContext();
+  if (dryRun) {
+    return createDryRunTransporter(dryRun);
+  }
+  if (transporter) {
+    return transporter;
+  }
+
   return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || "smtp.gmail.com",
-    port: parseInt(process.env.SMTP_PORT || "587"),
-    secure: process.env.SMTP_SECURE === "true",
+    host: getSetting("SMTP_HOST") || "smtp.gmail.com",
+    port: parseInt(getSetting("SMTP_PORT") || "587"),
+    secure: getSetting("SMTP_SECURE") === "true",
     auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
+      user: getSetting("SMTP_USER"),
+      pass: getSetting("SMTP_PASS"),
     },
   });
 }
 
+/**
+ * Transporter that writes each message as an .eml file instead of sending it
+ */
+function createDryRunTransporter({ report, outputDir }) {
+  const renderer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+  const emailDir = path.join(outputDir, "emails");
+
+  return {
+    async sendMail(mail) {
+      const info = await renderer.sendMail(mail);
+
+      fs.mkdirSync(emailDir, { recursive: true });
+      const fileName = `${Date.now()}-${report.emails.length + 1}.eml`;
+      const filePath = path.join(emailDir, fileName);
+      fs.writeFileSync(filePath, info.message);
+
+      report.emails.push({
+        to: mail.to,
+        subject: mail.subject,
+        file: filePath,
+      });
+      logger.info(`📝 [DRY RUN] Email rendered to ${filePath}`);
+      return info;
+    },
+  };
+}
+
 /**
  * Send audit report email with Excel attachment
  */
@@ -51,9 +94,16 @@ export async function sendAuditEmail(
   excelBuffer,
   summary,
   transporter,
-  obraName = null
+  obraName = null,
+  reviewUrl = null
 ) {
-  const totalRecords = summary.successful + summary.failed;
+  const missingImageRecords = summary.missingImage || 0;
+  const deadLetterRecords = summary.deadLetterRecords || [];
+  const totalRecords =
+    summary.successful +
+    summary.failed +
+    missingImageRecords +
+    deadLetterRecords.length;
   const approvedRecords = summary.approved || 0;
   const discrepancyRecords = summary.discrepancies || 0;
   const manualReviewRecords = summary.manualReview || 0;
@@ -73,6 +123,7 @@ export async function sendAuditEmail(
           .success { color: #28a745; }
           .warning { color: #ffc107; }
           .danger { color: #dc3545; }
+          .button { display: inline-block; background-color: #4472C4; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; }
           .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
         </style>
       </head>
@@ -98,6 +149,26 @@ export async function sendAuditEmail(
                 <span class="stat-label">❌ Fallidos:</span>
                 <span class="danger">${summary.failed}</span>
               </div>
+              ${
+                deadLetterRecords.length > 0
+                  ? `
+              <div class="stat">
+                <span class="stat-label">⛔ Fallidos sin más reintentos:</span>
+                <span class="danger">${deadLetterRecords.length}</span>
+              </div>
+              `
+                  : ""
+              }
+              ${
+                missingImageRecords > 0
+                  ? `
+              <div class="stat">
+                <span class="stat-label">📷 Sin foto del vale:</span>
+                <span class="danger">${missingImageRecords}</span>
+              </div>
+              `
+                  : ""
+              }
               ${
                 summary.successful > 0
                   ? `
@@ -119,6 +190,16 @@ export async function sendAuditEmail(
               `
                   : ""
               }
+              ${
+                summary.reviewed > 0
+                  ? `
+              <div class="stat">
+                <span class="stat-label">🔎 Revisados por un auditor:</span>
+                <span>${summary.reviewed}</span>
+              </div>
+              `
+                  : ""
+              }
               `
                   : ""
               }
@@ -126,7 +207,40 @@ export async function sendAuditEmail(
             <p>Adjunto encontrarás el reporte completo en formato Excel con todos los detalles de la auditoría.</p>
             ${
               summary.failed > 0
-                ? `<p><strong>Nota:</strong> Los registros fallidos serán reintentados en la próxima ejecución.</p>`
+                ? `<p><strong>Nota:</strong> Los registros fallidos serán reintentados en una próxima ejecución.</p>`
+                : ""
+            }
+            ${
+              deadLetterRecords.length > 0
+                ? `
+            <div class="summary-box">
+              <h3>⛔ Registros que fallaron en todos los intentos</h3>
+              <p>No serán reintentados automáticamente. Revísalos y solicita una re-auditoría si corresponde.</p>
+              <ul>
+                ${deadLetterRecords
+                  .map(
+                    (r) =>
+                      `<li><strong>${escapeHtml(r.row_id)}</strong> (${r.attempts} intentos): ${escapeHtml(r.error)}</li>`
+                  )
+                  .join("")}
+              </ul>
+            </div>
+            `
+                : ""
+            }
+            ${
+              reviewUrl
+                ? `
+            <div class="summary-box">
+              <p>Hay vales pendientes de revisión. Puedes aprobarlos, rechazarlos o corregirlos desde el navegador:</p>
+              <p><a class="button" href="${escapeHtml(reviewUrl)}">🔎 Revisar vales pendientes</a></p>
+            </div>
+            `
+                : ""
+            }
+            ${
+              missingImageRecords > 0
+                ? `<p><strong>Atención:</strong> Hay viajes finalizados sin foto del vale. No serán reintentados; revísalos en el reporte adjunto.</p>`
                 : ""
             }
           </div>
@@ -141,8 +255,8 @@ export async function sendAuditEmail(
   const subjectSuffix = obraName ? ` - ${obraName}` : "";
 
   await transporter.sendMail({
-    from: `"${process.env.EMAIL_NAME || "Sistema de Auditoría"}" <${
-      process.env.EMAIL_FROM || process.env.SMTP_USER
+    from: `"${getSetting("EMAIL_NAME") || "Sistema de Auditoría"}" <${
+      getSetting("EMAIL_FROM") || getSetting("SMTP_USER")
     }>`,
     to,
     subject: `Reporte de Auditoría de Vales - ${date}${subjectSuffix}`,
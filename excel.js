@@ -1,4 +1,5 @@
 import ExcelJS from "exceljs";
+import { getBucket, getPublicUrl } from "./bucket.js";
 
 export async function exportToExcelBuffer(data) {
   const workbook = new ExcelJS.Workbook();
@@ -98,6 +99,29 @@ export async function exportToExcelBuffer(data) {
   return workbook.xlsx.writeBuffer();
 }
 
+/**
+ * Review columns of a row (empty when the record was not reviewed)
+ */
+function buildReviewColumns(revision) {
+  if (!revision) {
+    return {
+      review_decision: "",
+      reviewer: "",
+      review_corrections: "",
+      review_comment: "",
+    };
+  }
+
+  return {
+    review_decision: revision.decision.toUpperCase(),
+    reviewer: revision.revisor?.correo || "",
+    review_corrections: Object.entries(revision.correcciones || {})
+      .map(([field, value]) => `${field}: ${value}`)
+      .join(" | "),
+    review_comment: revision.comentario || "",
+  };
+}
+
 /**
  * Export audit results to Excel buffer
  */
@@ -131,22 +155,35 @@ export async function exportAuditToExcelBuffer(auditResults) {
     { header: "Motivo Revisión", key: "manual_review_reason", width: 50 },
     { header: "Observaciones", key: "observaciones", width: 60 },
     { header: "Error", key: "error", width: 50 },
+    { header: "Revisión", key: "review_decision", width: 15 },
+    { header: "Revisado Por", key: "reviewer", width: 30 },
+    { header: "Correcciones", key: "review_corrections", width: 40 },
+    { header: "Comentario Revisión", key: "review_comment", width: 50 },
   ];
 
   // Add rows
+  const bucket = getBucket();
   const rows = auditResults.map((result) => {
     // Generate public image URL from result.image_path if available
-    const imageUrl = result.image_path
-      ? `https://storage.googleapis.com/image_audits/${result.image_path}`
-      : "";
+    const imageUrl =
+      result.image_path && bucket ? getPublicUrl(bucket, result.image_path) : "";
+
+    if (["error", "dead_letter", "imagen_faltante"].includes(result.status)) {
+      const isMissingImage = result.status === "imagen_faltante";
+      let statusDisplay = "ERROR";
+      if (isMissingImage) statusDisplay = "IMAGEN FALTANTE";
+      else if (result.status === "dead_letter") statusDisplay = "ERROR DEFINITIVO";
+
+      let observaciones = "";
+      if (isMissingImage) observaciones = result.motivo;
+      else if (result.attempts) observaciones = `Intentos: ${result.attempts}`;
 
-    if (result.status === "error") {
       return {
         row_id: result.row_id,
         image_url: imageUrl,
         quality_score: result.qualityScore ? `${result.qualityScore}/10` : "N/A",
-        status: "ERROR",
-        aprobado: "N/A",
+        status: statusDisplay,
+        aprobado: isMissingImage ? "NO" : "N/A",
         numeroVale: result.appsheet_values?.numeroVale || "",
         numeroVale_extracted: "",
         numeroVale_match: "N/A",
@@ -164,7 +201,7 @@ export async function exportAuditToExcelBuffer(auditResults) {
         fecha_match: "N/A",
         fecha_confidence: "N/A",
         manual_review_reason: "",
-        observaciones: "",
+        observaciones,
         error: result.error,
       };
     }
@@ -192,6 +229,8 @@ export async function exportAuditToExcelBuffer(auditResults) {
     if (result.status === "aprobado") statusDisplay = "APROBADO";
     else if (result.status === "requiere_revision_manual") statusDisplay = "REVISIÓN MANUAL";
     else if (result.status === "inconsistencias_encontradas") statusDisplay = "INCONSISTENCIAS";
+    else if (result.status === "rechazado") statusDisplay = "RECHAZADO";
+    else if (result.status === "corregido") statusDisplay = "CORREGIDO";
 
     // Handle quality < 7 case (no extraction performed)
     const isLowQuality = result.status === "requiere_revision_manual" && result.qualityScore && result.qualityScore < 7;
@@ -224,6 +263,11 @@ export async function exportAuditToExcelBuffer(auditResults) {
     };
   });
 
+  // Add the reviewer's decision to each row
+  rows.forEach((row, i) =>
+    Object.assign(row, buildReviewColumns(auditResults[i].revision))
+  );
+
   sheet.addRows(rows);
 
   // Style header row
@@ -251,13 +295,20 @@ export async function exportAuditToExcelBuffer(auditResults) {
       imageCell.font = { color: { argb: "FF0563C1" }, underline: true };
     }
 
-    if (row.status === "ERROR") {
+    if (row.status === "ERROR" || row.status === "ERROR DEFINITIVO") {
       // Red background for errors
       excelRow.fill = {
         type: "pattern",
         pattern: "solid",
         fgColor: { argb: "FFFFC7CE" },
       };
+    } else if (row.status === "IMAGEN FALTANTE") {
+      // Purple background for missing vale images
+      excelRow.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFE4DFEC" },
+      };
     } else if (row.status === "REVISIÓN MANUAL") {
       // Orange background for manual review
       excelRow.fill = {
@@ -1,44 +1,158 @@
-import axios from "axios";
 import {
   getYesterdayDateString,
   getDatePath,
   formatAppsheetDate,
+  addDaysToDateString,
 } from "./utils.js";
 import { getBucket, fileExists, readJSON, writeJSON } from "./bucket.js";
-import { format, addDays } from "date-fns";
+import { logger } from "./logger.js";
+import { findRows } from "./appsheet.js";
+import { getAppSheetMapping } from "./mapping.js";
+import { getSetting } from "./tenants.js";
 
-async function extractOne(tableName, appSheetConfig, selector = null) {
-  const { appKey, appId, appsheetRegion } = appSheetConfig;
-  const url = `https://${appsheetRegion}/api/v2/apps/${appId}/tables/${tableName}/Action`;
-  const payload = {
-    Action: "Find",
+/**
+ * Extract every row of a table, one Find call per selector
+ * Chunked selectors are run one after the other and merged by key
+ */
+async function extractOne(tableName, selectors = [null], key = "Row ID") {
+  const rowsById = new Map();
+  for (const selector of selectors) {
+    for (const row of await findRows(tableName, selector, key)) {
+      rowsById.set(row[key], row);
+    }
+  }
+
+  const rows = [...rowsById.values()];
+  logger.info(`✅ Extracted ${rows.length} records from ${tableName}`, {
+    table: tableName,
+    records: rows.length,
+    calls: selectors.length,
+  });
+  return rows;
+}
+
+/**
+ * Selectors for the source rows of a date, splitting the day into
+ * APPSHEET_VIAJE_CHUNKS time windows when its trips are too many for a
+ * single Find call
+ * AppSheet compares the date column as wall-clock time of the business day,
+ * so the windows are built from the date string alone and never pass
+ * through the host clock
+ */
+function getSourceSelectors(source, date) {
+  const chunks = Math.max(
+    1,
+    parseInt(getSetting("APPSHEET_VIAJE_CHUNKS") || "1") || 1
+  );
+  const windowMinutes = (24 * 60) / chunks;
+  const pad = (n) => String(n).padStart(2, "0");
+
+  const boundary = (i) => {
+    if (i === 0) return date;
+    if (i === chunks) return addDaysToDateString(date, 1);
+    const minutes = Math.round(i * windowMinutes);
+    return `${date} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
   };
+  const filters = Object.entries(source.filter).map(
+    ([column, value]) => `[${column}] = ${JSON.stringify(value)}`
+  );
 
-  if (selector) {
-    payload.Properties = {
-      Selector: selector,
-    };
+  return Array.from({ length: chunks }, (_, i) => {
+    const conditions = [
+      `[${source.dateColumn}] >= "${boundary(i)}"`,
+      ...filters,
+      `[${source.dateColumn}] < "${boundary(i + 1)}"`,
+    ];
+    return `Filter(${source.table}, AND(${conditions.join(", ")}))`;
+  });
+}
+
+/**
+ * Derive a field from a row as described by the mapping (see mapping.js)
+ * @param {Object} lookupRows - Lookup name → Map of key → row
+ */
+function deriveField(row, field, lookupRows) {
+  if (field.list) {
+    let values = String(row[field.column] ?? "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    for (const join of field.joins) {
+      values = values
+        .map((value) => lookupRows[join.lookup].get(value)?.[join.column])
+        .filter(Boolean);
+    }
+    return values;
   }
 
-  try {
-    const { data } = await axios.post(url, payload, {
-      headers: {
-        ApplicationAccessKey: appKey,
-        "Content-Type": "application/json",
-      },
-    });
-    console.log(`✅ Extracted ${data?.length || 0} records from ${tableName}`);
-    return data;
-  } catch (err) {
-    console.error(
-      `❌ Error extracting from ${tableName}:`,
-      err.response?.data || err.message
+  let value = row[field.column];
+  for (const join of field.joins) {
+    value = lookupRows[join.lookup].get(value)?.[join.column];
+  }
+  if (field.format === "date") {
+    value = formatAppsheetDate(value);
+  }
+  if ((value ?? "") === "" && "default" in field) {
+    value = field.default;
+  }
+  return value;
+}
+
+function deriveFields(row, fields, lookupRows) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, field]) => [
+      name,
+      deriveField(row, field, lookupRows),
+    ])
+  );
+}
+
+// Fields whose change means the audit of a record is outdated
+const AUDITED_FIELDS = ["numeroVale", "placa", "m3", "fecha", "fotoVale"];
+
+/**
+ * Compare the viaje records of two extractions of the same date
+ * @returns {Object} - { added, changed: [{ rowId, fields }], removed } rowIds
+ */
+function diffRecords(previous, current) {
+  const previousById = new Map(previous.map((r) => [r.rowId, r]));
+  const currentIds = new Set(current.map((r) => r.rowId));
+
+  const added = [];
+  const changed = [];
+  for (const record of current) {
+    const before = previousById.get(record.rowId);
+    if (!before) {
+      added.push(record.rowId);
+      continue;
+    }
+
+    const fields = AUDITED_FIELDS.filter(
+      (field) => (before[field] ?? "") !== (record[field] ?? "")
     );
-    return [];
+    if (fields.length > 0) {
+      changed.push({ rowId: record.rowId, fields });
+    }
   }
+
+  return {
+    added,
+    changed,
+    removed: previous.map((r) => r.rowId).filter((id) => !currentIds.has(id)),
+  };
 }
 
-export async function extract(date = null) {
+/**
+ * Extract the viaje records of a date with their usuarios
+ * The extraction is cached in the bucket once per date. With refresh, AppSheet
+ * is queried again and compared with the cache: when anything changed the
+ * previous version is kept in extractions/<date>/versions/ and the result
+ * carries `changes` (see diffRecords) so the caller can re-audit them
+ * @param {string} date - Date in MM/dd/yyyy format (default yesterday in the
+ *   business timezone)
+ * @param {Object} options - { refresh }
+ */
+export async function extract(date = null, { refresh = false } = {}) {
   const extractionDate = date || getYesterdayDateString();
   const datePath = getDatePath(extractionDate);
   const bucket = getBucket();
@@ -46,11 +160,12 @@ export async function extract(date = null) {
   // Check if extraction already exists in bucket (new YYYY/MM/DD structure)
   const bucketPath = `extractions/${datePath}/appsheet_data.json`;
 
+  let cachedData = null;
   if (bucket && (await fileExists(bucket, bucketPath))) {
-    console.log(`📦 Loading cached extraction from bucket: ${bucketPath}`);
-    const cachedData = await readJSON(bucket, bucketPath);
-    if (cachedData && cachedData.records) {
-      console.log(`✅ Loaded ${cachedData.record_count} records from cache`);
+    logger.info(`📦 Loading cached extraction from bucket: ${bucketPath}`);
+    cachedData = await readJSON(bucket, bucketPath);
+    if (cachedData && cachedData.records && !refresh) {
+      logger.info(`✅ Loaded ${cachedData.record_count} records from cache`);
 
       // Reconstruct usuarios map from cached data
       const usuariosMap = new Map();
@@ -65,118 +180,141 @@ export async function extract(date = null) {
     }
   }
 
-  // No cache found, fetch from AppSheet
-  console.log("🔄 No cache found, fetching from AppSheet...");
-
-  const appSheetConfig = {
-    appKey: process.env.APP_KEY,
-    appId: process.env.APP_ID,
-    appsheetRegion: "www.appsheet.com",
-  };
+  if (cachedData?.records) {
+    logger.info(
+      `🔄 Refreshing extraction v${cachedData.version || 1} from AppSheet...`
+    );
+  } else {
+    // No cache found, fetch from AppSheet
+    cachedData = null;
+    logger.info("🔄 No cache found, fetching from AppSheet...");
+  }
 
   const yesterdayDate = extractionDate;
-  const today = format(addDays(yesterdayDate, 1), "MM/dd/yyyy");
+  const mapping = getAppSheetMapping();
+  const { source, usuarios: usuariosTable, validPlacas } = mapping;
 
+  // Every table is required: a run without usuarios or vehiculos would
+  // audit and email wrongly, so any failure aborts before the cache write
   const tableConfigs = [
     {
-      name: "viaje",
-      selector: `Filter(viaje, AND([fecha_ultima_actualizacion] >= "${yesterdayDate}", [estado] = "Finalizado", [fecha_ultima_actualizacion] < "${today}"))`,
-    },
-    {
-      name: "vehiculo",
-    },
-    {
-      name: "obra",
+      name: "source",
+      table: source.table,
+      key: source.key,
+      selectors: getSourceSelectors(source, yesterdayDate),
     },
-    { name: "usuario" },
-    { name: "usuario_obra" },
+    { name: "usuarios", table: usuariosTable.table, key: usuariosTable.key },
+    ...Object.entries(mapping.lookups).map(([name, lookup]) => ({
+      name,
+      table: lookup.table,
+      key: lookup.key,
+    })),
   ];
 
-  const data = await Promise.all(
+  // Let every table settle so one failure does not leave calls in flight
+  const settled = await Promise.allSettled(
     tableConfigs.map((config) =>
-      extractOne(config.name, appSheetConfig, config.selector)
+      extractOne(config.table, config.selectors, config.key)
     )
   );
+  const failed = settled.find((result) => result.status === "rejected");
+  if (failed) {
+    throw failed.reason;
+  }
 
   const tables = {};
   tableConfigs.forEach((config, i) => {
-    tables[config.name] = data[i];
+    tables[config.name] = settled[i].value;
   });
 
-  const vehiculoRecords = tables.vehiculo || [];
-  const vehiculoMap = new Map(
-    vehiculoRecords.map((veh) => [veh["Row ID"], veh.placa])
-  );
-
-  const obraRecords = tables.obra || [];
-  const obraMap = new Map(
-    obraRecords.map((obra) => [obra["Row ID"], obra.nombre])
+  // Lookup rows by key, for the joins of the mapping
+  const lookupRows = Object.fromEntries(
+    Object.entries(mapping.lookups).map(([name, lookup]) => [
+      name,
+      new Map(tables[name].map((row) => [row[lookup.key], row])),
+    ])
   );
 
-  const usuarioObraRecords = tables.usuario_obra;
-  const usuarioObraMap = new Map(
-    usuarioObraRecords.map((uo) => [uo["Row ID"], uo])
-  );
-
-  const usuarioRecords = tables.usuario || [];
   const usuariosMap = new Map();
-  for (const usuario of usuarioRecords) {
-    const relatedUsuariosObras =
-      usuario["Related usuario_obras"]
-        ?.split(",")
-        .map((id) => id.trim())
-        .filter((id) => id) ?? [];
-
-    // Get obra IDs from usuario_obra records
-    const obraIds = relatedUsuariosObras
-      .map((id) => usuarioObraMap.get(id)?.id_obra)
-      .filter(Boolean);
-
-    // Convert obra IDs to obra names
-    const obraNames = obraIds
-      .map((id) => obraMap.get(id))
-      .filter(Boolean);
-
-    usuariosMap.set(usuario["Row ID"], {
-      correo: usuario["correo_electronico"],
-      rol: usuario["rol"],
-      relatedObras: obraNames, // Now storing names, not IDs
-      estado_usuario: usuario["estado_usuario"],
-      usuario: usuario["usuario"],
-    });
+  for (const usuario of tables.usuarios) {
+    usuariosMap.set(
+      usuario[usuariosTable.key],
+      deriveFields(usuario, usuariosTable.fields, lookupRows)
+    );
   }
 
   // Extract unique placas for caching (to help Gemini with OCR)
   const uniquePlacas = [
-    ...new Set(vehiculoRecords.map((veh) => veh.placa).filter(Boolean)),
+    ...new Set(
+      tables[validPlacas.lookup]
+        .map((row) => row[validPlacas.column])
+        .filter(Boolean)
+    ),
   ].sort();
 
-  tables.viaje = tables.viaje.map((v) => ({
-    rowId: v["Row ID"],
-    numeroVale: v.numero_vale,
-    fotoVale: v.foto_vale,
-    m3: v.m3_transportados,
-    fecha: formatAppsheetDate(v.fecha_vale),
-    placa: vehiculoMap.get(v.id_vehiculo) || "",
-    obra: obraMap.get(v.id_obra),
+  const records = tables.source.map((row) => ({
+    rowId: row[source.key],
+    ...deriveFields(row, mapping.record, lookupRows),
   }));
 
+  const usuarios = Array.from(usuariosMap.entries()).map(([id, data]) => ({
+    id,
+    ...data,
+  }));
+
+  let changes = null;
+  if (cachedData) {
+    changes = diffRecords(cachedData.records, records);
+    logger.info(
+      `🔍 Refresh: ${changes.added.length} new, ${changes.changed.length} changed, ${changes.removed.length} removed records`,
+      {
+        added: changes.added.length,
+        changed: changes.changed.length,
+        removed: changes.removed.length,
+      }
+    );
+
+    const unchanged =
+      changes.added.length === 0 &&
+      changes.changed.length === 0 &&
+      changes.removed.length === 0 &&
+      JSON.stringify(cachedData.valid_placas) ===
+        JSON.stringify(uniquePlacas) &&
+      JSON.stringify(cachedData.usuarios) === JSON.stringify(usuarios);
+    if (unchanged) {
+      logger.info("✅ Cached extraction is up to date");
+      return { viaje: records, usuariosMap, changes };
+    }
+  }
+
   // Save to bucket for future use (new YYYY/MM/DD structure)
-  if (bucket && tables.viaje) {
+  if (bucket) {
+    const version = cachedData ? (cachedData.version || 1) + 1 : 1;
+    if (cachedData) {
+      // Keep the version being replaced
+      await writeJSON(
+        bucket,
+        `extractions/${datePath}/versions/v${cachedData.version || 1}.json`,
+        cachedData
+      );
+    }
+
     const extractionData = {
+      version,
       extraction_date: new Date().toISOString(),
-      date_filter: format(yesterdayDate, "dd/MM/yyyy"),
-      estado_filter: "Finalizado",
-      record_count: tables.viaje.length,
-      records: tables.viaje,
+      date_filter: formatAppsheetDate(yesterdayDate),
+      source_filter: source.filter,
+      record_count: records.length,
+      records,
       valid_placas: uniquePlacas, // Cache list of valid placas
-      usuarios: Array.from(usuariosMap.entries()).map(([id, data]) => ({
-        id,
-        ...data,
-      })), // Save usuarios for email filtering
+      usuarios, // Save usuarios for email filtering
+      changes, // Differences with the previous version (refresh only)
     };
     await writeJSON(bucket, bucketPath, extractionData);
+    if (cachedData) {
+      logger.info(`📦 Saved extraction v${version} to ${bucketPath}`);
+    }
   }
 
-  return { ...tables, usuariosMap };
+  return { viaje: records, usuariosMap, changes };
 }
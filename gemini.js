@@ -1,14 +1,29 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { getBucket, downloadFile } from "./bucket.js";
+import { logger, startTimer } from "./logger.js";
+import { countMetric } from "./metrics.js";
+import { getBusinessDateString } from "./utils.js";
+import { getExtractionProvider } from "./providers.js";
+import {
+  EXTRACTION_SCHEMA,
+  QUALITY_SCHEMA,
+  parseExtractionResponse,
+  parseQualityResponse,
+} from "./responses.js";
 import fs from "fs";
+import os from "os";
 import path from "path";
 
+// Version of the prompts below: bump it when they change, recorded answers
+// (EXTRACTION_PROVIDER=record/replay) are keyed by it
+export const PROMPT_VERSION = "2";
+
 /**
  * Build the extraction-only prompt for Gemini (no comparison, just OCR)
  */
 function buildExtractionPrompt(validPlacas, referenceValues) {
-  const currentYear = new Date().getFullYear();
-  const currentMonth = new Date().getMonth() + 1; // 1-12
+  // The vales are dated in the business timezone, not the host's
+  const currentYear = Number(getBusinessDateString("yyyy"));
+  const currentMonth = Number(getBusinessDateString("M")); // 1-12
 
   return `You are an OCR expert extracting data from construction material transport documents (vales).
 
@@ -117,10 +132,34 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Earliest time the next Gemini request may start, shared by all parallel
+// audits in this process (GEMINI_RPM spacing and 429 back-off)
+let nextRequestAt = 0;
+
+/**
+ * Wait for a free Gemini request slot
+ */
+async function waitForRequestSlot() {
+  const rpm = parseInt(process.env.GEMINI_RPM || "0");
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestAt);
+  nextRequestAt = rpm > 0 ? slot + 60000 / rpm : slot;
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Hold back every pending Gemini request for a while (after a 429)
+ */
+function pauseRequests(ms) {
+  nextRequestAt = Math.max(nextRequestAt, Date.now() + ms);
+}
+
 /**
  * Check image quality before processing
  */
-async function checkImageQuality(model, imageBase64) {
+async function checkImageQuality(provider, image, imageName) {
   const qualityPrompt = `You are an image quality assessor for document scanning.
 
 Analyze this vale (transport document) image and rate its quality on a scale of 0-10.
@@ -146,51 +185,39 @@ Return ONLY valid JSON (no markdown):
 
 Set "isReadable" to true only if qualityScore >= 7.`;
 
-  const imageParts = [
-    {
-      inlineData: {
-        data: imageBase64,
-        mimeType: "image/jpeg",
-      },
-    },
-  ];
-
-  const result = await model.generateContent([qualityPrompt, ...imageParts]);
-  const response = result.response;
-  const text = response.text();
-
-  // Clean up response
-  let cleanedText = text.trim();
-  if (cleanedText.startsWith("```json")) {
-    cleanedText = cleanedText.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-  } else if (cleanedText.startsWith("```")) {
-    cleanedText = cleanedText.replace(/```\n?/g, "");
-  }
-
-  return JSON.parse(cleanedText);
+  await waitForRequestSlot();
+  countMetric("gemini", "quality_checks");
+  const text = await provider.checkQuality({
+    prompt: qualityPrompt,
+    promptVersion: PROMPT_VERSION,
+    schema: QUALITY_SCHEMA,
+    image,
+    imageName,
+  });
+
+  return parseQualityResponse(text);
 }
 
 /**
- * Call Gemini Vision API to audit a vale image with exponential backoff retry
+ * Audit a vale image with the extraction provider (Gemini unless
+ * EXTRACTION_PROVIDER says otherwise, see providers.js), retrying with
+ * exponential backoff
  */
-export async function auditWithGemini(record, imagePathInBucket, validPlacas) {
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  // Use model from env or default to gemini-1.5-flash (more stable and higher quota)
-  const modelName = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-  const model = genAI.getGenerativeModel({ model: modelName });
+export async function auditValeImage(record, imagePathInBucket, validPlacas) {
+  const provider = getExtractionProvider();
+  const imageName = path.basename(imagePathInBucket);
 
   const bucket = getBucket();
   if (!bucket) {
     throw new Error("Bucket not available");
   }
 
-  const localDir = "./temp_audit";
-  if (!fs.existsSync(localDir)) {
-    fs.mkdirSync(localDir, { recursive: true });
-  }
+  // Per-call temp directory: parallel audits must not delete each other's files
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), "vale-audit-"));
 
   const maxRetries = parseInt(process.env.GEMINI_MAX_RETRIES || "4");
-  const baseDelay = 1000; // Start with 1 second
+  // Start with 1 second
+  const baseDelay = parseInt(process.env.GEMINI_RETRY_BASE_DELAY_MS || "1000");
   let lastError;
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -206,31 +233,34 @@ export async function auditWithGemini(record, imagePathInBucket, validPlacas) {
       }
 
       const imageBuffer = fs.readFileSync(localImagePath);
-      const imageBase64 = imageBuffer.toString("base64");
-
-      // Prepare image for Gemini (only the actual vale, no template)
-      const imageParts = [
-        {
-          inlineData: {
-            data: imageBase64,
-            mimeType: "image/jpeg",
-          },
-        },
-      ];
+
+      // Only the actual vale, no template
+      const image = {
+        data: imageBuffer.toString("base64"),
+        mimeType: "image/jpeg",
+      };
 
       // STEP 1: Check image quality first
       let qualityScore = null;
       if (attempt === 0) {
-        console.log(`🔍 Checking image quality for record ${record.rowId}...`);
+        logger.info(`🔍 Checking image quality for record ${record.rowId}...`);
         try {
-          const qualityCheck = await checkImageQuality(model, imageBase64);
+          const qualityCheck = await checkImageQuality(
+            provider,
+            image,
+            imageName
+          );
           qualityScore = qualityCheck.qualityScore;
-          console.log(
-            `📊 Quality score: ${qualityCheck.qualityScore}/10 - Readable: ${qualityCheck.isReadable}`
+          logger.info(
+            `📊 Quality score: ${qualityCheck.qualityScore}/10 - Readable: ${qualityCheck.isReadable}`,
+            {
+              qualityScore: qualityCheck.qualityScore,
+              readable: qualityCheck.isReadable,
+            }
           );
 
           if (!qualityCheck.isReadable) {
-            console.log(
+            logger.warn(
               `⚠️ Image quality too low (score: ${qualityCheck.qualityScore}). Marking for manual review.`
             );
             // Clean up temp files
@@ -272,10 +302,12 @@ export async function auditWithGemini(record, imagePathInBucket, validPlacas) {
             };
           }
         } catch (qualityError) {
-          console.warn(
-            `⚠️ Quality check failed, proceeding with audit anyway:`,
-            qualityError.message
-          );
+          if (qualityError.invalidResponse) {
+            countMetric("gemini", "invalid_responses");
+          }
+          logger.warn(`⚠️ Quality check failed, proceeding with audit anyway`, {
+            error: qualityError,
+          });
           // If quality check fails, continue with normal audit
         }
       }
@@ -290,50 +322,52 @@ export async function auditWithGemini(record, imagePathInBucket, validPlacas) {
       const prompt = buildExtractionPrompt(validPlacas, referenceValues);
 
       if (attempt === 0) {
-        console.log(
-          `🤖 Calling Gemini for extraction on record ${record.rowId}...`
+        logger.info(
+          `🤖 Calling ${provider.name} for extraction on record ${record.rowId}...`
         );
       } else {
-        console.log(
+        logger.info(
           `🔄 Retry ${attempt}/${maxRetries - 1} for record ${record.rowId}...`
         );
       }
 
-      const result = await model.generateContent([prompt, ...imageParts]);
-      const response = result.response;
-      const text = response.text();
-
-      // Clean up response (remove markdown code blocks if present)
-      let cleanedText = text.trim();
-      if (cleanedText.startsWith("```json")) {
-        cleanedText = cleanedText
-          .replace(/```json\n?/g, "")
-          .replace(/```\n?/g, "");
-      } else if (cleanedText.startsWith("```")) {
-        cleanedText = cleanedText.replace(/```\n?/g, "");
-      }
+      await waitForRequestSlot();
+      const geminiTimer = startTimer();
+      countMetric("gemini", "extraction_calls");
+      const text = await provider.extractFields({
+        prompt,
+        promptVersion: PROMPT_VERSION,
+        schema: EXTRACTION_SCHEMA,
+        image,
+        imageName,
+      });
+      logger.debug(
+        `🤖 ${provider.name} extraction response for ${record.rowId}`,
+        { attempt, durationMs: geminiTimer() }
+      );
 
+      // Checked against the schema (coerced), see responses.js
       let extractionResult;
       try {
-        extractionResult = JSON.parse(cleanedText);
-      } catch (parseError) {
-        console.warn(
-          `⚠️ JSON parse error for ${record.rowId}:`,
-          parseError.message
-        );
-        console.warn(`Response text: ${cleanedText.substring(0, 500)}...`);
-
-        // Retry on JSON parse errors (Gemini might have returned malformed JSON)
-        if (attempt < maxRetries - 1) {
-          lastError = new Error(`JSON parse error: ${parseError.message}`);
+        extractionResult = parseExtractionResponse(text);
+      } catch (responseError) {
+        countMetric("gemini", "invalid_responses");
+        logger.warn(`⚠️ ${responseError.message} for ${record.rowId}`, {
+          problems: responseError.problems,
+        });
+
+        // Retry invalid responses (the next answer may well be valid)
+        if (responseError.retryable && attempt < maxRetries - 1) {
+          lastError = responseError;
+          countMetric("gemini", "retries");
           const delay = baseDelay * Math.pow(2, attempt);
-          console.log(
-            `⏳ Retrying due to malformed JSON, waiting ${delay / 1000}s...`
+          logger.info(
+            `⏳ Retrying due to invalid response, waiting ${delay / 1000}s...`
           );
           await sleep(delay);
           continue;
         }
-        throw parseError;
+        throw responseError;
       }
 
       // STEP 3: Perform validation in JavaScript
@@ -402,10 +436,17 @@ export async function auditWithGemini(record, imagePathInBucket, validPlacas) {
         }
       }
 
-      console.log(
+      if (error.status === 429) {
+        pauseRequests(actualDelay);
+        countMetric("gemini", "rate_limited");
+      }
+      countMetric("gemini", "retries");
+
+      logger.warn(
         `⏳ Rate limit/error for ${record.rowId}, waiting ${
           actualDelay / 1000
-        }s before retry ${attempt + 1}/${maxRetries - 1}...`
+        }s before retry ${attempt + 1}/${maxRetries - 1}...`,
+        { attempt, status: error.status, delayMs: actualDelay }
       );
       await sleep(actualDelay);
     }
@@ -1,171 +1,383 @@
+import { parseJob, parseAuditJob, parseReauditJob, runJob } from "./jobs.js";
+import { submitReview, verifyReviewToken, findReviewer } from "./review.js";
+import {
+  getReviewQueue,
+  renderReviewPage,
+  renderMessagePage,
+} from "./reviewpage.js";
 import { extract } from "./extract.js";
 import {
-  getDriveClient,
-  findFileIdByName,
-  downloadFile as downloadFromDrive,
-} from "./drive.js";
-import { getBucket, uploadFile, fileExists } from "./bucket.js";
-import { auditAllRecords } from "./audit.js";
-import { getYesterdayDateString, getDatePath } from "./utils.js";
+  resolveAuditDates,
+  normalizeDateString,
+  getDatePath,
+} from "./utils.js";
+import { runWithContext } from "./context.js";
+import { logger } from "./logger.js";
+import { requireAuth } from "./auth.js";
+import { getRunManifests } from "./metrics.js";
+import { getBucket, getRunState } from "./bucket.js";
+import { getAppSheetMapping } from "./mapping.js";
+import { resolveTenants, resolveTenant, withTenant } from "./tenants.js";
+import { randomUUID } from "crypto";
 import dotenv from "dotenv";
 import fs from "fs";
-import path from "path";
 
 if (fs.existsSync(".env")) {
   dotenv.config();
 }
 
-import { http } from "@google-cloud/functions-framework";
+// Fail the deployment on a broken tenants file or AppSheet mapping, not the
+// first run
+for (const tenant of resolveTenants()) {
+  withTenant(tenant, () => getAppSheetMapping());
+}
+
+import { http, cloudEvent } from "@google-cloud/functions-framework";
 
 /**
- * Download all images from Google Drive and upload to bucket
+ * Read a request param from the JSON body or the query string
  */
-async function downloadAndCacheImages(records, datePath) {
-  const drive = await getDriveClient();
-  const bucket = getBucket();
-
-  console.log(`📸 Processing ${records.length} images...`);
+function getParam(req, name) {
+  return req.body?.[name] ?? req.query?.[name];
+}
 
-  const localDownloadDir = "./temp_downloads";
-  if (!fs.existsSync(localDownloadDir)) {
-    fs.mkdirSync(localDownloadDir, { recursive: true });
+/**
+ * Review token with its tenant resolved, null when invalid or expired (or
+ * of a tenant no longer configured)
+ */
+function verifyReviewLink(rawToken) {
+  const token = verifyReviewToken(rawToken);
+  if (!token) {
+    return null;
   }
 
-  for (const record of records) {
-    if (!record.fotoVale) {
-      console.log(`⚠️ No fotoVale for record ${record.rowId}`);
-      continue;
-    }
-
-    const fileName = record.fotoVale.split("/").pop();
-    const localPath = path.join(localDownloadDir, fileName);
-    const bucketPath = `images/${datePath}/${fileName}`;
-
-    try {
-      // Check if already in bucket
-      if (bucket && (await fileExists(bucket, bucketPath))) {
-        console.log(`⏭️  Already cached: ${fileName}`);
-        continue;
-      }
-
-      // Find file in Drive
-      console.log(`🔍 Searching for: ${fileName}`);
-      const fileId = await findFileIdByName(drive, fileName);
+  try {
+    return { ...token, tenant: resolveTenant(token.tenant) };
+  } catch (error) {
+    logger.warn(`⚠️ Review link rejected: ${error.message}`);
+    return null;
+  }
+}
 
-      if (!fileId) {
-        console.log(`❌ File not found in Drive: ${fileName}`);
-        continue;
-      }
+// --- Main HTTP Function ---
+http("audit_images", async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).send("Method Not Allowed");
+  }
+  if (!(await requireAuth(req, res))) {
+    return;
+  }
 
-      // Download from Drive
-      console.log(`⬇️ Downloading from Drive: ${fileName}`);
-      await downloadFromDrive(drive, fileId, localPath);
+  let job;
+  try {
+    job = parseAuditJob({
+      date: getParam(req, "date"),
+      from: getParam(req, "from"),
+      to: getParam(req, "to"),
+      refresh: getParam(req, "refresh"),
+      tenant: getParam(req, "tenant"),
+      dryRun: getParam(req, "dryRun"),
+    });
+  } catch (error) {
+    return res.status(error.statusCode).send(error.message);
+  }
 
-      // Upload to bucket
-      if (bucket) {
-        console.log(`⬆️ Uploading to bucket: ${bucketPath}`);
-        await uploadFile(bucket, localPath, bucketPath);
+  try {
+    const { statusCode, body } = await runJob(job);
+    res.status(statusCode).send(body);
+  } catch (error) {
+    logger.error("❌ Send notifications failed", {
+      error,
+      errors: error.errors?.map((err) => ({
+        message: err.message,
+        reason: err.reason,
+        location: err.location,
+      })),
+    });
+    res.status(500).send(`Job failed: ${error.message}`);
+  }
+});
 
-        // Clean up local file
-        fs.unlinkSync(localPath);
-      }
-    } catch (error) {
-      console.error(`❌ Error processing image ${fileName}:`, error.message);
-    }
+// --- Re-audit specific records on demand ---
+http("reaudit_records", async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).send("Method Not Allowed");
+  }
+  if (!(await requireAuth(req, res))) {
+    return;
   }
 
-  // Clean up temp directory
-  if (fs.existsSync(localDownloadDir)) {
-    fs.rmSync(localDownloadDir, { recursive: true });
+  let job;
+  try {
+    job = parseReauditJob({
+      date: getParam(req, "date"),
+      rowIds: getParam(req, "rowIds") ?? getParam(req, "rowId"),
+      resendReport: getParam(req, "resendReport"),
+      tenant: getParam(req, "tenant"),
+      dryRun: getParam(req, "dryRun"),
+    });
+  } catch (error) {
+    return res.status(error.statusCode).send(error.message);
   }
 
-  console.log("✅ All images processed");
-}
+  try {
+    const { statusCode, body } = await runJob(job);
+    res.status(statusCode).send(body);
+  } catch (error) {
+    logger.error("❌ Re-audit failed", { error });
+    res.status(500).send(`Re-audit failed: ${error.message}`);
+  }
+});
 
-// --- Main HTTP Function ---
-http("audit_images", async (req, res) => {
+// --- Record a reviewer's decision on an audited record ---
+http("submit_review", async (req, res) => {
   if (req.method !== "POST") {
     return res.status(405).send("Method Not Allowed");
   }
+  const caller = await requireAuth(req, res);
+  if (!caller) {
+    return;
+  }
+
+  // The reviewer is never read from the request: it is the email of a review
+  // link token (which also fixes the date, obra and tenant) or of the
+  // caller's verified Google ID token
+  const rawToken = getParam(req, "token");
+  const token = rawToken ? verifyReviewLink(rawToken) : null;
+  if (rawToken && !token) {
+    return res.status(401).send("Invalid or expired review link");
+  }
+  const reviewer = token ? token.email : caller.email;
+  if (!reviewer) {
+    return res
+      .status(403)
+      .send("Reviews need a review link token or a Google ID token");
+  }
+
+  let date;
+  let tenant;
+  try {
+    date = token
+      ? token.date
+      : normalizeDateString(getParam(req, "date") ?? "");
+    tenant = token ? token.tenant : resolveTenant(getParam(req, "tenant"));
+  } catch (error) {
+    return res.status(400).send(error.message);
+  }
 
   try {
-    const date = getYesterdayDateString();
-    const datePath = getDatePath(date);
-    console.log(`📅 Processing date: ${date} (path: ${datePath})`);
-
-    // Step 1: Extract data (from cache or AppSheet)
-    console.log("\n--- Step 1: Extracting data ---");
-    const rawData = await extract(date);
-    const viajeRecords = rawData.viaje || [];
-    const usuariosMap = rawData.usuariosMap || new Map();
-
-    if (viajeRecords.length === 0) {
-      console.log("⚠️ No viaje records found with estado=Finalizado");
-      return res.send("No records to process");
+    const review = await runWithContext({ runId: randomUUID() }, () =>
+      withTenant(tenant, () =>
+        submitReview(date, {
+          rowId: getParam(req, "rowId"),
+          reviewer,
+          decision: getParam(req, "decision"),
+          corrections: getParam(req, "corrections"),
+          comment: getParam(req, "comment"),
+          obra: token?.obra,
+        })
+      )
+    );
+
+    res.send({
+      success: true,
+      review,
+      message: `✅ Review saved for ${review.row_id}`,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).send(error.message);
     }
+    logger.error("❌ Review failed", { error });
+    res.status(500).send(`Review failed: ${error.message}`);
+  }
+});
 
-    console.log(`✅ Found ${viajeRecords.length} records (estado=Finalizado)`);
+http("review_queue", async (req, res) => {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).send("Method Not Allowed");
+  }
 
-    // Step 2: Determine which records need processing
-    console.log("\n--- Step 2: Checking processing status ---");
-    const { getUnprocessedRecords } = await import("./audit.js");
-    const unprocessedRecords = await getUnprocessedRecords(
-      viajeRecords,
-      datePath
-    );
+  // Reviewer links carry a signed token with the reviewer, date, obra and
+  // tenant
+  const token = verifyReviewLink(getParam(req, "token"));
 
-    let auditResults = [];
+  if (req.method === "POST") {
+    if (!token) {
+      return res.status(401).send("Invalid or expired review link");
+    }
 
-    if (unprocessedRecords.length === 0) {
-      console.log("✅ All records already processed!");
-      console.log("📧 Will still send email report with existing results...");
-    } else {
-      console.log(
-        `📊 ${unprocessedRecords.length} unprocessed, ${
-          viajeRecords.length - unprocessedRecords.length
-        } already done`
+    try {
+      const review = await runWithContext({ runId: randomUUID() }, () =>
+        withTenant(token.tenant, () =>
+          submitReview(token.date, {
+            rowId: getParam(req, "rowId"),
+            reviewer: token.email,
+            decision: getParam(req, "decision"),
+            corrections: getParam(req, "corrections"),
+            comment: getParam(req, "comment"),
+            obra: token.obra,
+          })
+        )
       );
+      return res.send({ success: true, review });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).send(error.message);
+      }
+      logger.error("❌ Review failed", { error });
+      return res.status(500).send(`Review failed: ${error.message}`);
+    }
+  }
 
-      // Step 3: Download images ONLY for unprocessed records
-      console.log(
-        "\n--- Step 3: Downloading images for unprocessed records ---"
+  res.type("html");
+  if (!token) {
+    return res
+      .status(401)
+      .send(
+        renderMessagePage(
+          "Enlace inválido",
+          "El enlace de revisión no es válido o ya expiró. Solicita uno nuevo."
+        )
       );
-      await downloadAndCacheImages(unprocessedRecords, datePath);
+  }
+
+  try {
+    const page = await runWithContext({ runId: randomUUID() }, () =>
+      withTenant(token.tenant, async () => {
+        // Roles come from the usuarios cached with the extraction of the date
+        const { usuariosMap } = await extract(token.date);
+        if (!findReviewer(usuariosMap || new Map(), token.email, token.obra)) {
+          return null;
+        }
+
+        return renderReviewPage({
+          date: token.date,
+          obra: token.obra,
+          reviewer: token.email,
+          token: getParam(req, "token"),
+          records: await getReviewQueue(token.date, token.obra),
+        });
+      })
+    );
 
-      // Step 4: Audit records with Gemini
-      console.log("\n--- Step 4: Auditing records ---");
-      auditResults = await auditAllRecords(viajeRecords, datePath);
+    if (!page) {
+      return res
+        .status(403)
+        .send(
+          renderMessagePage(
+            "Acceso denegado",
+            `${token.email} no es un revisor activo de ${token.obra}.`
+          )
+        );
     }
+    res.send(page);
+  } catch (error) {
+    logger.error("❌ Review queue failed", { error });
+    res
+      .status(500)
+      .send(
+        renderMessagePage("Error", "No se pudo cargar la cola de revisión.")
+      );
+  }
+});
 
-    // Step 5: Generate and send report
-    console.log("\n--- Step 5: Generating and sending report ---");
-    const { getAllAuditResults, sendAuditReport } = await import("./audit.js");
-    const allResults = await getAllAuditResults(datePath);
+// --- Latest runs of a date (default yesterday): did the audit complete? ---
+http("run_status", async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).send("Method Not Allowed");
+  }
+  if (!(await requireAuth(req, res))) {
+    return;
+  }
+
+  let dates;
+  let tenants;
+  try {
+    dates = resolveAuditDates({
+      date: getParam(req, "date"),
+      from: getParam(req, "from"),
+      to: getParam(req, "to"),
+    });
+    tenants = resolveTenants(getParam(req, "tenant"));
+  } catch (error) {
+    return res.status(400).send(error.message);
+  }
+  const limit = Math.max(1, parseInt(getParam(req, "limit") || "5") || 5);
 
-    if (allResults.length > 0) {
-      await sendAuditReport(date, datePath, allResults, usuariosMap);
-    } else {
-      console.log("⚠️ No audit results found, skipping email report");
+  try {
+    const statuses = [];
+    for (const tenant of tenants) {
+      await withTenant(tenant, async () => {
+        const bucket = getBucket();
+        for (const date of dates) {
+          const datePath = getDatePath(date);
+          const runState = bucket ? await getRunState(bucket, datePath) : null;
+          statuses.push({
+            tenant: tenant?.id,
+            date,
+            date_path: datePath,
+            completed: runState?.status === "complete",
+            report_sent: Boolean(runState?.report_sent),
+            run_state: runState,
+            runs: await getRunManifests(datePath, limit),
+          });
+        }
+      });
     }
 
     res.send({
       success: true,
-      date,
-      date_path: datePath,
-      total_records: viajeRecords.length,
-      audited: auditResults.length,
-      message: "✅ Audit complete!",
+      completed: statuses.every((s) => s.completed),
+      dates: statuses,
     });
   } catch (error) {
-    console.error("❌ Send notifications failed: ", error.message);
-    if (error.stack) console.error(error.stack);
-    if (error.errors) {
-      error.errors.forEach((err) =>
-        console.error(
-          `Error: ${err.message}, Reason: ${err.reason}, Location: ${err.location}`
-        )
-      );
-    }
-    res.status(500).send(`Job failed: ${error.message}`);
+    logger.error("❌ Run status failed", { error });
+    res.status(500).send(`Run status failed: ${error.message}`);
+  }
+});
+
+/**
+ * Params of a Pub/Sub message: its JSON data, falling back to attributes
+ */
+function getMessageParams(event) {
+  const message = event.data?.message;
+  if (!message) {
+    throw new Error("Event has no Pub/Sub message");
+  }
+
+  const text = message.data
+    ? Buffer.from(message.data, "base64").toString()
+    : "";
+  return { ...message.attributes, ...(text ? JSON.parse(text) : {}) };
+}
+
+// --- Pub/Sub trigger: same jobs as the HTTP functions, one per message ---
+// Message data: { date } | { from, to } | { date, rowIds } (+ tenant,
+// dryRun, resendReport). Throwing makes the platform redeliver the message, so only
+// runs that can make progress on a retry throw: failed, locked or partial.
+// Re-audits lease only their records, so per-record fan-out messages never
+// lock each other out; they wait only for a run of the whole date.
+cloudEvent("audit_events", async (event) => {
+  let job;
+  try {
+    job = parseJob(getMessageParams(event));
+  } catch (error) {
+    // A malformed message will never succeed; acknowledge it
+    logger.error(`❌ Invalid audit message ${event.id}`, { error });
+    return;
+  }
+
+  const { statusCode, body } = await runJob(job);
+  logger.info(`📨 Message ${event.id}: ${body.status || "complete"}`, {
+    messageId: event.id,
+    runId: body.run_id,
+    status: body.status,
+  });
+
+  if (statusCode !== 200 || body.status === "partial") {
+    throw new Error(
+      `Audit job not finished (${body.status}), message will be retried`
+    );
   }
 });
@@ -0,0 +1,266 @@
+import { randomUUID } from "crypto";
+import {
+  runAuditForTenants,
+  reauditForDate,
+  resendReportForDate,
+} from "./pipeline.js";
+import { runWithContext, createDeadline } from "./context.js";
+import { createDryRun } from "./dryrun.js";
+import { logger } from "./logger.js";
+import { resolveTenants, resolveTenant, withTenant } from "./tenants.js";
+import {
+  resolveAuditDates,
+  normalizeDateString,
+  parseBooleanFlag,
+} from "./utils.js";
+
+/**
+ * Audit jobs, shared by the HTTP functions and the Pub/Sub trigger
+ *
+ * A job is parsed from plain params (HTTP body/query or a Pub/Sub message):
+ * - audit: { date } or { from, to } (default yesterday, plus the earlier
+ *   dates left unfinished), optional refresh and tenant (default all of them)
+ * - reaudit: { date, rowIds } (array or comma-separated), optional
+ *   resendReport, and the tenant when several are configured
+ * - resend: { date }, optional obra, and the tenant when several are
+ *   configured
+ * All accept dryRun. runJob returns the HTTP status and response body.
+ */
+
+function jobError(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+/**
+ * Row IDs from an array and/or comma-separated lists, without blanks
+ */
+export function parseRowIds(raw) {
+  return (Array.isArray(raw) ? raw : [raw])
+    .flatMap((ids) => String(ids ?? "").split(","))
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Job that runs the full pipeline for a date or date range
+ */
+export function parseAuditJob({ date, from, to, refresh, tenant, dryRun }) {
+  try {
+    return {
+      type: "audit",
+      tenants: resolveTenants(tenant),
+      dates: resolveAuditDates({ date, from, to }),
+      // Only the scheduled default run picks up the unfinished dates
+      resumeUnfinished: !date && !from && !to,
+      refresh: parseBooleanFlag(refresh),
+      dryRun: parseBooleanFlag(dryRun),
+    };
+  } catch (error) {
+    throw jobError(error.message);
+  }
+}
+
+/**
+ * Job that re-audits specific records of a date
+ */
+export function parseReauditJob({
+  date,
+  rowIds,
+  rowId,
+  resendReport,
+  tenant,
+  dryRun,
+}) {
+  const ids = parseRowIds(rowIds ?? rowId);
+  if (ids.length === 0) {
+    throw jobError('Missing "rowIds"');
+  }
+
+  try {
+    return {
+      type: "reaudit",
+      tenant: resolveTenant(tenant),
+      date: normalizeDateString(date ?? ""),
+      rowIds: ids,
+      resendReport: parseBooleanFlag(resendReport),
+      dryRun: parseBooleanFlag(dryRun),
+    };
+  } catch (error) {
+    throw jobError(error.message);
+  }
+}
+
+/**
+ * Job that sends the report of a date again
+ */
+export function parseResendJob({ date, obra, tenant, dryRun }) {
+  try {
+    return {
+      type: "resend",
+      tenant: resolveTenant(tenant),
+      date: normalizeDateString(date ?? ""),
+      obra: obra || null,
+      dryRun: parseBooleanFlag(dryRun),
+    };
+  } catch (error) {
+    throw jobError(error.message);
+  }
+}
+
+/**
+ * Re-audit job when the params name records, audit job otherwise
+ */
+export function parseJob(params) {
+  return params.rowIds != null || params.rowId != null
+    ? parseReauditJob(params)
+    : parseAuditJob(params);
+}
+
+/**
+ * Overall HTTP status and message for the per-date results of a run
+ */
+function summarizeDates(results) {
+  const failed = results.filter((r) => r.success === false).length;
+  const partial = results.filter((r) => r.status === "partial").length;
+  const locked = results.filter((r) => r.status === "locked").length;
+  const waiting = results.filter((r) => r.status === "waiting").length;
+  const total = results.length;
+
+  if (failed > 0) {
+    return {
+      statusCode: 500,
+      status: "failed",
+      message: `❌ ${failed}/${total} dates failed`,
+    };
+  }
+  if (locked === total) {
+    return {
+      statusCode: 409,
+      status: "locked",
+      message: "🔒 Another run is already processing these dates",
+    };
+  }
+  if (partial > 0 || locked > 0) {
+    return {
+      statusCode: 200,
+      status: "partial",
+      message: `⏱️ ${
+        partial + locked
+      }/${total} dates not finished, will resume on next run`,
+    };
+  }
+  // Reported already: a later run retries their failed records
+  if (waiting > 0) {
+    return {
+      statusCode: 200,
+      status: "complete",
+      message: `✅ Audit complete! ${waiting}/${total} dates have failed records to retry on a later run`,
+    };
+  }
+  return { statusCode: 200, status: "complete", message: "✅ Audit complete!" };
+}
+
+async function runAudit(
+  { tenants, dates, refresh, resumeUnfinished },
+  runId,
+  dryRun
+) {
+  if (dryRun) {
+    logger.info("🧪 Dry run: nothing will be written to the bucket or sent");
+  }
+  if (refresh) {
+    logger.info(
+      "🔄 Refresh: cached extractions will be compared with AppSheet"
+    );
+  }
+  logger.info(`📅 Dates to process: ${dates.join(", ")}`);
+
+  const results = await runAuditForTenants(tenants, dates, {
+    refresh,
+    resumeUnfinished,
+  });
+  const { statusCode, status, message } = summarizeDates(results);
+
+  return {
+    statusCode,
+    body: {
+      success: statusCode !== 500,
+      status,
+      run_id: runId,
+      dry_run: dryRun ? dryRun.report : undefined,
+      dates: results,
+      total_records: results.reduce(
+        (sum, r) => sum + (r.total_records || 0),
+        0
+      ),
+      audited: results.reduce((sum, r) => sum + (r.audited || 0), 0),
+      message,
+    },
+  };
+}
+
+async function runReaudit(
+  { tenant, date, rowIds, resendReport },
+  runId,
+  dryRun
+) {
+  const result = await withTenant(tenant, () =>
+    reauditForDate(date, rowIds, { resendReport })
+  );
+
+  if (result.status === "locked") {
+    return { statusCode: 409, body: result };
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      run_id: runId,
+      tenant: tenant?.id,
+      dry_run: dryRun ? dryRun.report : undefined,
+      ...result,
+      message: `✅ Re-audited ${result.reaudited.length} records`,
+    },
+  };
+}
+
+async function runResend({ tenant, date, obra }, runId, dryRun) {
+  const result = await withTenant(tenant, () =>
+    resendReportForDate(date, { obra })
+  );
+
+  const statusCode = { locked: 409, empty: 404 }[result.status] || 200;
+  return {
+    statusCode,
+    body: {
+      success: statusCode === 200,
+      run_id: runId,
+      tenant: tenant?.id,
+      dry_run: dryRun ? dryRun.report : undefined,
+      ...result,
+    },
+  };
+}
+
+const RUNNERS = { audit: runAudit, reaudit: runReaudit, resend: runResend };
+
+/**
+ * Run a parsed job in its own invocation context
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+export async function runJob(job) {
+  const runId = randomUUID();
+  // Dry run: audit for real but keep every write and email in a report
+  const dryRun = job.dryRun ? createDryRun() : null;
+
+  return runWithContext(
+    {
+      runId,
+      dryRun,
+      // Re-audits cover a few records, only full runs get a time budget
+      deadline: job.type === "audit" ? createDeadline() : undefined,
+    },
+    () => RUNNERS[job.type](job, runId, dryRun)
+  );
+}
@@ -0,0 +1,207 @@
+import { randomUUID } from "crypto";
+import os from "os";
+import path from "path";
+import {
+  getBucket,
+  listFiles,
+  readJSONWithGeneration,
+  writeJSONIfGenerationMatch,
+} from "./bucket.js";
+import { getContext } from "./context.js";
+import { logger } from "./logger.js";
+
+/**
+ * Run lease per date path, stored in the bucket next to the audits, and per
+ * record for re-audits (so re-audits of different records run side by side)
+ *
+ * Acquiring and renewing the lease use generation-match preconditions, so two
+ * runs can never both hold it. A lease whose heartbeat stopped (crashed run)
+ * expires after RUN_LOCK_TTL_MS and can be taken over. A run whose lease is
+ * flagged lost must stop: see runWithLease in pipeline.js.
+ *
+ * Re-audits lease their records first and then check the date lock; a run
+ * of the date takes its lock first and then skips the leased records. So
+ * whichever comes second sees the other, and no record is audited twice.
+ */
+
+function getLockPath(datePath, rowId) {
+  return rowId
+    ? `audits/${datePath}/record_locks/${rowId}.json`
+    : `audits/${datePath}/run_lock.json`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildLease(owner, ttlMs, acquiredAt) {
+  const now = new Date();
+  return {
+    owner,
+    host: os.hostname(),
+    acquired_at: acquiredAt || now.toISOString(),
+    heartbeat_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+  };
+}
+
+// Heartbeats failing in a row before the lease is given up: the next one
+// would come when it expires, and another run may take it over
+const MAX_HEARTBEAT_FAILURES = 2;
+
+/**
+ * Keep the lease alive until released; flags it as lost if another run took
+ * it over in the meantime, or if it could not be renewed in time
+ */
+function startHeartbeat(bucket, lockPath, lease, ttlMs) {
+  let failures = 0;
+
+  const markLost = (reason) => {
+    lease.lost = true;
+    clearInterval(timer);
+    logger.error(`❌ Run lock lost: ${reason}`);
+  };
+
+  const timer = setInterval(async () => {
+    try {
+      const generation = await writeJSONIfGenerationMatch(
+        bucket,
+        lockPath,
+        buildLease(lease.owner, ttlMs, lease.acquiredAt),
+        lease.generation
+      );
+      if (generation) {
+        lease.generation = generation;
+        failures = 0;
+      } else {
+        markLost(`${lockPath} was taken by another run`);
+      }
+    } catch (error) {
+      failures++;
+      logger.warn(
+        `⚠️ Run lock heartbeat failed (${failures}/${MAX_HEARTBEAT_FAILURES}): ${error.message}`
+      );
+      if (failures >= MAX_HEARTBEAT_FAILURES) {
+        markLost(`${lockPath} could not be renewed`);
+      }
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  timer.unref();
+
+  lease.release = async () => {
+    clearInterval(timer);
+    try {
+      // Only deletes the lease if no other run took it over
+      await bucket.delete(lockPath, { ifGenerationMatch: lease.generation });
+      logger.info(`🔓 Released run lock: ${lockPath}`);
+    } catch (error) {
+      if (error.code !== 404 && error.code !== 412) {
+        logger.warn(`⚠️ Could not release run lock: ${error.message}`);
+      }
+    }
+  };
+
+  return lease;
+}
+
+/**
+ * Acquire the run lock of a date (or of one of its records), waiting up to
+ * RUN_LOCK_WAIT_MS for a run that holds it to finish
+ * @returns {Object|null} - Lease with release(), or null if another run holds it
+ */
+export async function acquireRunLock(datePath, rowId = null) {
+  const bucket = getBucket();
+  const owner = getContext().runId || randomUUID();
+
+  // Dry runs never write to the bucket, so there is nothing to protect
+  if (!bucket || bucket.dryRun) {
+    return { owner, lost: false, release: async () => {} };
+  }
+
+  const ttlMs = parseInt(process.env.RUN_LOCK_TTL_MS || "120000");
+  const waitUntil = Date.now() + parseInt(process.env.RUN_LOCK_WAIT_MS || "0");
+  const lockPath = getLockPath(datePath, rowId);
+
+  for (;;) {
+    const current = await readJSONWithGeneration(bucket, lockPath);
+    const heldByOther =
+      current &&
+      current.data.owner !== owner &&
+      new Date(current.data.expires_at).getTime() > Date.now();
+
+    if (!heldByOther) {
+      const lease = buildLease(owner, ttlMs);
+      const generation = await writeJSONIfGenerationMatch(
+        bucket,
+        lockPath,
+        lease,
+        current ? current.generation : 0
+      );
+
+      if (generation) {
+        if (current && current.data.owner !== owner) {
+          logger.warn(
+            `⚠️ Took over expired run lock from ${current.data.owner}`
+          );
+        }
+        logger.info(`🔒 Acquired run lock: ${lockPath}`);
+        return startHeartbeat(
+          bucket,
+          lockPath,
+          { owner, acquiredAt: lease.acquired_at, generation, lost: false },
+          ttlMs
+        );
+      }
+    }
+
+    if (Date.now() >= waitUntil) {
+      logger.info(
+        `🔒 Run lock ${lockPath} is held by ${
+          current?.data?.owner || "another run"
+        }`
+      );
+      return null;
+    }
+
+    await sleep(Math.min(5000, waitUntil - Date.now()));
+  }
+}
+
+/**
+ * Lease of the run currently holding the lock of a date
+ * @returns {Object|null} - The lease, or null if no run holds it
+ */
+export async function getRunLockHolder(datePath) {
+  const bucket = getBucket();
+  if (!bucket) {
+    return null;
+  }
+
+  const current = await readJSONWithGeneration(bucket, getLockPath(datePath));
+  if (!current || new Date(current.data.expires_at).getTime() <= Date.now()) {
+    return null;
+  }
+  return current.data;
+}
+
+/**
+ * Row IDs of a date whose records a re-audit holds right now
+ */
+export async function getLeasedRowIds(datePath) {
+  const bucket = getBucket();
+  if (!bucket) {
+    return [];
+  }
+
+  const leased = [];
+  for (const filePath of await listFiles(
+    bucket,
+    `audits/${datePath}/record_locks/`
+  )) {
+    const current = await readJSONWithGeneration(bucket, filePath);
+    if (current && new Date(current.data.expires_at).getTime() > Date.now()) {
+      leased.push(path.basename(filePath, ".json"));
+    }
+  }
+  return leased;
+}
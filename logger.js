@@ -0,0 +1,107 @@
+import { getContext, runWithContext } from "./context.js";
+
+/**
+ * Structured logging
+ *
+ * Each entry is one JSON line that Cloud Logging parses into jsonPayload:
+ * severity and message are its special fields, and the runId of the
+ * invocation is also sent as a label and as the operation id so all entries
+ * of a run can be grouped. Fields set with withLogFields (datePath, rowId,
+ * obra, stage...) are added to every entry logged inside it.
+ *
+ * LOG_LEVEL: debug | info | warning | error (default info)
+ * LOG_FORMAT: json (default) | text, plain messages for a terminal
+ */
+
+const LEVELS = {
+  debug: { severity: "DEBUG", rank: 0, method: "log" },
+  info: { severity: "INFO", rank: 1, method: "log" },
+  warning: { severity: "WARNING", rank: 2, method: "warn" },
+  error: { severity: "ERROR", rank: 3, method: "error" },
+};
+
+function getMinimumRank() {
+  const level = String(process.env.LOG_LEVEL || "info").toLowerCase();
+  return (LEVELS[level === "warn" ? "warning" : level] || LEVELS.info).rank;
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    message: error.message,
+    code: error.code ?? error.status,
+    stack: error.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  const { severity, rank, method } = LEVELS[level];
+  if (rank < getMinimumRank()) {
+    return;
+  }
+
+  const { runId, logFields } = getContext();
+  const { error, ...rest } = fields;
+
+  if (process.env.LOG_FORMAT === "text") {
+    console[method](message);
+    if (error) console[method](error.stack || error.message || error);
+    return;
+  }
+
+  const entry = {
+    severity,
+    // Blank lines only make sense in a terminal
+    message: message.trim(),
+    runId,
+    ...logFields,
+    ...rest,
+    ...(error ? { error: serializeError(error) } : {}),
+  };
+  if (entry.runId) {
+    entry["logging.googleapis.com/labels"] = { runId: entry.runId };
+    entry["logging.googleapis.com/operation"] = {
+      id: entry.runId,
+      producer: "dumpify_image_audit",
+    };
+  }
+
+  console[method](JSON.stringify(entry));
+}
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warning", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * Run fn with extra fields on every entry it logs (e.g. { rowId, obra })
+ */
+export function withLogFields(fields, fn) {
+  const context = getContext();
+  return runWithContext(
+    { ...context, logFields: { ...context.logFields, ...fields } },
+    fn
+  );
+}
+
+/**
+ * Change the fields of the current scope from here on (e.g. the stage)
+ */
+export function setLogFields(fields) {
+  const context = getContext();
+  context.logFields = { ...context.logFields, ...fields };
+}
+
+/**
+ * Start measuring a duration
+ * @returns {Function} - Returns the milliseconds elapsed since the start
+ */
+export function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number((process.hrtime.bigint() - start) / 1000000n);
+}
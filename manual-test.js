@@ -1,7 +1,13 @@
 import { extract } from "./extract.js";
 import { getBucket, getValidPlacas } from "./bucket.js";
 import { auditRecord } from "./audit.js";
-import { getYesterdayDateString, getDatePath } from "./utils.js";
+import {
+  getYesterdayDateString,
+  getDatePath,
+  parseBooleanFlag,
+} from "./utils.js";
+import { runWithContext } from "./context.js";
+import { createDryRun } from "./dryrun.js";
 import dotenv from "dotenv";
 import fs from "fs";
 
@@ -9,6 +15,12 @@ if (fs.existsSync(".env")) {
   dotenv.config();
 }
 
+// Run with --dry-run (or DRY_RUN=true) to keep bucket writes in memory
+const dryRun =
+  process.argv.includes("--dry-run") || parseBooleanFlag(process.env.DRY_RUN)
+    ? createDryRun()
+    : null;
+
 async function testAudit() {
   try {
     const date = getYesterdayDateString();
@@ -87,10 +99,18 @@ async function testAudit() {
     const testResultPath = `./test_results_${date.replace(/\//g, "-")}.json`;
     fs.writeFileSync(testResultPath, JSON.stringify(results, null, 2));
     console.log(`\n💾 Test results saved to: ${testResultPath}`);
+
+    if (dryRun) {
+      const reportPath = `./dry_run_report_${date.replace(/\//g, "-")}.json`;
+      fs.writeFileSync(reportPath, JSON.stringify(dryRun.report, null, 2));
+      console.log(
+        `🧪 Dry run: ${Object.keys(dryRun.report.writes).length} writes kept in memory, report saved to: ${reportPath}`
+      );
+    }
   } catch (error) {
     console.error("❌ Test failed:", error.message);
     if (error.stack) console.error(error.stack);
   }
 }
 
-testAudit();
+runWithContext({ dryRun }, testAudit);
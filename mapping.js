@@ -0,0 +1,236 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { getSetting } from "./tenants.js";
+
+/**
+ * AppSheet schema mapping
+ *
+ * Describes where extract() reads from, so apps with different schemas can
+ * share the pipeline (default: appsheet.mapping.json next to this file,
+ * APPSHEET_MAPPING_PATH to use another one):
+ * - source: { table, key, dateColumn, filter } the audited rows of a date
+ * - lookups: { <name>: { table, key } } tables joined by key
+ * - record: how each field of the normalized record is derived
+ * - usuarios: { table, key, fields } the users the reports go to
+ * - validPlacas: { lookup, column } placas that help Gemini read the vale
+ * - writeback: { table, key, columns } where outcomes are written back
+ *
+ * A field is a column name, or { column, list, joins, format, default }:
+ * list splits a comma-separated column, each join replaces the value by a
+ * column of the lookup row it references, format "date" turns an AppSheet
+ * date into dd/MM/yyyy and default replaces a missing value.
+ */
+
+const DEFAULT_MAPPING_PATH = fileURLToPath(
+  new URL("./appsheet.mapping.json", import.meta.url)
+);
+
+const DEFAULT_KEY = "Row ID";
+
+// Normalized fields the rest of the pipeline relies on
+const RECORD_FIELDS = [
+  "numeroVale",
+  "fotoVale",
+  "m3",
+  "fecha",
+  "placa",
+  "obra",
+];
+const USUARIO_FIELDS = ["correo", "rol", "estado_usuario", "relatedObras"];
+// viaje columns the write-back sets unless the mapping names others
+const DEFAULT_WRITEBACK_COLUMNS = {
+  status: "estado_auditoria",
+  reason: "motivo_auditoria",
+  evidence: "evidencia_auditoria",
+};
+const FORMATS = ["date"];
+
+// Mappings loaded so far by file path (each tenant may have its own)
+const cache = new Map();
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isName(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function normalizeTable(spec, where, errors) {
+  if (!isObject(spec) || !isName(spec.table)) {
+    errors.push(`${where}.table must be a table name`);
+    return null;
+  }
+  if (spec.key !== undefined && !isName(spec.key)) {
+    errors.push(`${where}.key must be a column name`);
+  }
+  return { ...spec, key: spec.key || DEFAULT_KEY };
+}
+
+function normalizeField(spec, where, lookups, errors) {
+  const field = typeof spec === "string" ? { column: spec } : spec;
+  if (!isObject(field) || !isName(field.column)) {
+    errors.push(`${where} must be a column name or { column, ... }`);
+    return null;
+  }
+
+  const joins = field.joins ?? [];
+  if (!Array.isArray(joins)) {
+    errors.push(`${where}.joins must be an array`);
+    return null;
+  }
+  joins.forEach((join, i) => {
+    if (!isObject(join) || !lookups[join.lookup]) {
+      errors.push(`${where}.joins[${i}].lookup must name one of the lookups`);
+    } else if (!isName(join.column)) {
+      errors.push(`${where}.joins[${i}].column must be a column name`);
+    }
+  });
+  if (field.format !== undefined && !FORMATS.includes(field.format)) {
+    errors.push(`${where}.format must be one of: ${FORMATS.join(", ")}`);
+  }
+
+  return { ...field, list: Boolean(field.list), joins };
+}
+
+function normalizeFields(specs, required, where, lookups, errors) {
+  if (!isObject(specs)) {
+    errors.push(`${where} must be an object`);
+    return {};
+  }
+
+  for (const name of required) {
+    if (!(name in specs)) {
+      errors.push(`${where}.${name} is required`);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(specs).map(([name, spec]) => [
+      name,
+      normalizeField(spec, `${where}.${name}`, lookups, errors),
+    ])
+  );
+}
+
+/**
+ * Check a mapping and fill in its defaults
+ * @returns {Object} - The normalized mapping (field shorthands expanded)
+ * @throws {Error} - Listing every problem found
+ */
+export function validateAppSheetMapping(mapping, name = "mapping") {
+  const errors = [];
+  if (!isObject(mapping)) {
+    throw new Error(`Invalid AppSheet mapping ${name}: not a JSON object`);
+  }
+
+  const source = normalizeTable(mapping.source, "source", errors);
+  if (source) {
+    if (!isName(source.dateColumn)) {
+      errors.push("source.dateColumn must be a column name");
+    }
+    const filter = source.filter ?? {};
+    if (
+      !isObject(filter) ||
+      !Object.values(filter).every((value) => typeof value === "string")
+    ) {
+      errors.push("source.filter must map column names to values");
+    }
+    source.filter = filter;
+  }
+
+  const lookups = {};
+  if (!isObject(mapping.lookups)) {
+    errors.push("lookups must be an object");
+  } else {
+    for (const [lookup, spec] of Object.entries(mapping.lookups)) {
+      lookups[lookup] = normalizeTable(spec, `lookups.${lookup}`, errors);
+    }
+  }
+
+  const record = normalizeFields(
+    mapping.record,
+    RECORD_FIELDS,
+    "record",
+    lookups,
+    errors
+  );
+  for (const [name, field] of Object.entries(record)) {
+    if (field?.list) {
+      errors.push(`record.${name} cannot be a list`);
+    }
+  }
+
+  const usuarios = normalizeTable(mapping.usuarios, "usuarios", errors);
+  if (usuarios) {
+    usuarios.fields = normalizeFields(
+      usuarios.fields,
+      USUARIO_FIELDS,
+      "usuarios.fields",
+      lookups,
+      errors
+    );
+    if (usuarios.fields.relatedObras && !usuarios.fields.relatedObras.list) {
+      errors.push("usuarios.fields.relatedObras must be a list");
+    }
+  }
+
+  const validPlacas = mapping.validPlacas;
+  if (
+    !isObject(validPlacas) ||
+    !lookups[validPlacas.lookup] ||
+    !isName(validPlacas.column)
+  ) {
+    errors.push("validPlacas must be { lookup, column } of one of the lookups");
+  }
+
+  const writeback = {
+    table: source?.table,
+    key: source?.key,
+    ...mapping.writeback,
+    columns: { ...DEFAULT_WRITEBACK_COLUMNS, ...mapping.writeback?.columns },
+  };
+  for (const column of Object.keys(DEFAULT_WRITEBACK_COLUMNS)) {
+    if (!isName(writeback.columns[column])) {
+      errors.push(`writeback.columns.${column} must be a column name`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(
+        `Invalid AppSheet mapping ${name}:\n${errors
+          .map((error) => `  - ${error}`)
+          .join("\n")}`
+      ),
+      { errors }
+    );
+  }
+
+  return { source, lookups, record, usuarios, validPlacas, writeback };
+}
+
+/**
+ * Read and validate a mapping file
+ */
+export function loadAppSheetMapping(filePath) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read AppSheet mapping ${filePath}: ${error.message}`
+    );
+  }
+  return validateAppSheetMapping(mapping, filePath);
+}
+
+/**
+ * Mapping in use by the current tenant (loaded once per path)
+ */
+export function getAppSheetMapping() {
+  const filePath = getSetting("APPSHEET_MAPPING_PATH") || DEFAULT_MAPPING_PATH;
+  if (!cache.has(filePath)) {
+    cache.set(filePath, loadAppSheetMapping(filePath));
+  }
+  return cache.get(filePath);
+}
@@ -0,0 +1,159 @@
+import { getContext, runWithContext } from "./context.js";
+import { getBucket, readJSON, writeJSON, listFiles } from "./bucket.js";
+import { logger } from "./logger.js";
+
+/**
+ * Run manifests
+ *
+ * Every pipeline invocation for a date writes runs/<datePath>/<runId>.json:
+ * start and end times, stage timings, record counts, Gemini calls, emails
+ * sent per obra and errors. It is written when the run starts (status
+ * "running") and again when it ends, so a crashed run is still visible.
+ * The helpers below are no-ops outside withRunManifest.
+ */
+
+// Errors kept in a manifest; the rest are only counted
+const MAX_ERRORS = 50;
+
+function getManifestPath(datePath, runId) {
+  return `runs/${datePath}/${runId}.json`;
+}
+
+function finishStage(manifest) {
+  const current = manifest.stages[manifest.stage];
+  if (current && current.duration_ms == null) {
+    current.duration_ms = Date.now() - new Date(current.started_at).getTime();
+  }
+}
+
+async function saveManifest(manifest) {
+  const bucket = getBucket();
+  if (bucket) {
+    await writeJSON(
+      bucket,
+      getManifestPath(manifest.date_path, manifest.run_id),
+      manifest
+    );
+  }
+}
+
+/**
+ * Run fn for one date while collecting its manifest
+ * @param {Object} run - { date, datePath, trigger } (trigger: audit, reaudit...)
+ */
+export async function withRunManifest({ date, datePath, trigger }, fn) {
+  const context = getContext();
+  const manifest = {
+    run_id: context.runId || "local",
+    trigger,
+    date,
+    date_path: datePath,
+    dry_run: Boolean(context.dryRun),
+    status: "running",
+    stage: null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    stages: {},
+    counts: {},
+    by_status: {},
+    gemini: {},
+    emails: {},
+    errors: [],
+    total_errors: 0,
+  };
+
+  await saveManifest(manifest);
+
+  const finish = async (status) => {
+    finishStage(manifest);
+    manifest.status = status;
+    manifest.finished_at = new Date().toISOString();
+    manifest.duration_ms = Date.now() - new Date(manifest.started_at).getTime();
+    await saveManifest(manifest);
+  };
+
+  try {
+    const result = await runWithContext({ ...context, manifest }, fn);
+    await finish(result?.status || "complete");
+    return result;
+  } catch (error) {
+    recordRunError(error.message, { fatal: true }, manifest);
+    await finish("failed");
+    throw error;
+  }
+}
+
+/**
+ * Start timing a pipeline stage (ends the previous one)
+ */
+export function startStage(stage) {
+  const { manifest } = getContext();
+  if (!manifest || manifest.stage === stage) {
+    return;
+  }
+
+  finishStage(manifest);
+  manifest.stage = stage;
+  manifest.stages[stage] = {
+    started_at: new Date().toISOString(),
+    duration_ms: null,
+  };
+}
+
+/**
+ * Add to a counter of the current manifest
+ * @param {string} group - counts, by_status, gemini or emails
+ */
+export function countMetric(group, key, amount = 1) {
+  const { manifest } = getContext();
+  if (!manifest) {
+    return;
+  }
+  manifest[group][key] = (manifest[group][key] || 0) + amount;
+}
+
+/**
+ * Keep an error in the current manifest
+ * @param {Object} fields - e.g. { rowId }
+ */
+export function recordRunError(message, fields = {}, manifest = null) {
+  const target = manifest || getContext().manifest;
+  if (!target) {
+    return;
+  }
+
+  target.total_errors++;
+  if (target.errors.length < MAX_ERRORS) {
+    target.errors.push({
+      at: new Date().toISOString(),
+      stage: target.stage,
+      message,
+      ...fields,
+    });
+  }
+}
+
+/**
+ * Latest run manifests of a date, newest first
+ */
+export async function getRunManifests(datePath, limit = 5) {
+  const bucket = getBucket();
+  if (!bucket) {
+    return [];
+  }
+
+  const manifests = [];
+  for (const filePath of await listFiles(bucket, `runs/${datePath}/`)) {
+    const manifest = await readJSON(bucket, filePath);
+    if (manifest) {
+      manifests.push(manifest);
+    } else {
+      logger.warn(`⚠️ Could not read run manifest ${filePath}`);
+    }
+  }
+
+  return manifests
+    .sort((a, b) => b.started_at.localeCompare(a.started_at))
+    .slice(0, limit);
+}
@@ -0,0 +1,826 @@
+import { extract } from "./extract.js";
+import {
+  getDriveClient,
+  findFileIdByName,
+  downloadFile as downloadFromDrive,
+} from "./drive.js";
+import {
+  getBucket,
+  uploadFile,
+  fileExists,
+  getRunState,
+  saveRunState,
+} from "./bucket.js";
+import {
+  auditAllRecords,
+  reauditRecords,
+  getUnprocessedRecords,
+  getFailedAttempts,
+  getAllAuditResults,
+  sendAuditReport,
+  markForReaudit,
+} from "./audit.js";
+import {
+  getDatePath,
+  addDaysToDateString,
+  getConcurrency,
+  mapWithConcurrency,
+} from "./utils.js";
+import { getContext, runWithContext, hasTimeLeft } from "./context.js";
+import { logger, withLogFields, setLogFields, startTimer } from "./logger.js";
+import {
+  withRunManifest,
+  startStage,
+  countMetric,
+  recordRunError,
+} from "./metrics.js";
+import { acquireRunLock, getRunLockHolder, getLeasedRowIds } from "./lock.js";
+import { isWriteBackEnabled, writeBackResults } from "./writeback.js";
+import { withTenant } from "./tenants.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Download outcomes as counted in the run manifest
+const DOWNLOAD_METRICS = {
+  downloaded: "downloaded",
+  cached: "cache_hits",
+  not_found: "images_not_found",
+  no_foto: "images_missing",
+  error: "download_errors",
+};
+
+/**
+ * Current stage of the run, for the logs and the run manifest timings
+ */
+function enterStage(stage) {
+  setLogFields({ stage });
+  startStage(stage);
+}
+
+/**
+ * Download all images from Google Drive and upload to bucket
+ * Stops starting new downloads once the run's time budget is spent
+ * @returns {Object} - { skipped, missingImages } where missingImages maps the
+ *   rowId of each record without a findable vale photo to the reason
+ */
+export async function downloadAndCacheImages(records, datePath) {
+  const drive = await getDriveClient();
+  const bucket = getBucket();
+  const concurrency = getConcurrency("DOWNLOAD_CONCURRENCY", 4);
+
+  logger.info(
+    `📸 Processing ${records.length} images (concurrency: ${concurrency})...`
+  );
+
+  // Each run gets its own temp directory so parallel runs never collide
+  const localDownloadDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "vale-downloads-")
+  );
+
+  const elapsed = startTimer();
+
+  const cacheImage = (record) =>
+    withLogFields(
+      { rowId: record.rowId, obra: record.obra || "Sin Obra" },
+      () => cacheRecordImage(record)
+    );
+
+  async function cacheRecordImage(record) {
+    if (!record.fotoVale) {
+      logger.warn(`⚠️ No fotoVale for record ${record.rowId}`);
+      return "no_foto";
+    }
+
+    const fileName = record.fotoVale.split("/").pop();
+    const localPath = path.join(localDownloadDir, fileName);
+    const bucketPath = `images/${datePath}/${fileName}`;
+
+    try {
+      // Check if already in bucket
+      if (bucket && (await fileExists(bucket, bucketPath))) {
+        logger.debug(`⏭️  Already cached: ${fileName}`);
+        return "cached";
+      }
+
+      // Find file in Drive
+      logger.debug(`🔍 Searching for: ${fileName}`);
+      const fileId = await findFileIdByName(drive, fileName);
+
+      if (!fileId) {
+        logger.warn(`❌ File not found in Drive: ${fileName}`);
+        return "not_found";
+      }
+
+      // Download from Drive
+      logger.debug(`⬇️ Downloading from Drive: ${fileName}`);
+      await downloadFromDrive(drive, fileId, localPath);
+
+      // Upload to bucket
+      if (bucket) {
+        logger.debug(`⬆️ Uploading to bucket: ${bucketPath}`);
+        await uploadFile(bucket, localPath, bucketPath);
+
+        // Clean up local file
+        fs.unlinkSync(localPath);
+      }
+      return "downloaded";
+    } catch (error) {
+      logger.error(`❌ Error processing image ${fileName}`, { error });
+      recordRunError(`Image ${fileName}: ${error.message}`, {
+        rowId: record.rowId,
+      });
+      return "error";
+    }
+  }
+
+  const outcomes = await mapWithConcurrency(records, concurrency, cacheImage, {
+    shouldStop: () => !hasTimeLeft(),
+  });
+
+  // Clean up temp directory
+  fs.rmSync(localDownloadDir, { recursive: true, force: true });
+
+  const skipped = records.filter((_, i) => outcomes[i] === undefined);
+  const missingImages = new Map();
+  records.forEach((record, i) => {
+    if (outcomes[i] === "no_foto") {
+      missingImages.set(record.rowId, "El viaje no tiene foto del vale");
+    } else if (outcomes[i] === "not_found") {
+      missingImages.set(
+        record.rowId,
+        `Foto del vale no encontrada en Drive: ${record.fotoVale}`
+      );
+    }
+  });
+
+  if (missingImages.size > 0) {
+    logger.info(`📷 ${missingImages.size} records have no vale image`);
+  }
+  const counts = { total: records.length, skipped: skipped.length };
+  for (const outcome of outcomes) {
+    if (outcome) counts[outcome] = (counts[outcome] || 0) + 1;
+    if (outcome) countMetric("counts", DOWNLOAD_METRICS[outcome]);
+  }
+  countMetric("counts", "downloads_skipped", skipped.length);
+  if (skipped.length > 0) {
+    logger.info(
+      `⏱️ Time budget reached, ${skipped.length} images left for the next run`,
+      { ...counts, durationMs: elapsed() }
+    );
+  } else {
+    logger.info("✅ All images processed", {
+      ...counts,
+      durationMs: elapsed(),
+    });
+  }
+
+  return { skipped, missingImages };
+}
+
+/**
+ * Result for a date whose run lock is held by another run
+ */
+function lockedResult(
+  date,
+  datePath,
+  message = "🔒 Another run is already processing this date"
+) {
+  return { date, date_path: datePath, status: "locked", message };
+}
+
+/**
+ * Stop a run that lost its lease before it writes anything more for the
+ * date: its checkpoints, write-back and report would race the new holder
+ */
+function ensureLeaseHeld() {
+  if (getContext().lease?.lost) {
+    throw Object.assign(new Error("Run lock lost"), { leaseLost: true });
+  }
+}
+
+/**
+ * Run fn holding the run lock of a date. The lease goes in the context, so
+ * once it is lost hasTimeLeft() stops new work and ensureLeaseHeld() the run
+ * @returns {Object} - fn's result, or a locked result when another run holds
+ *   the lock or took it over midway
+ */
+async function runWithLease(date, datePath, fn) {
+  const lease = await acquireRunLock(datePath);
+  if (!lease) {
+    return lockedResult(date, datePath);
+  }
+  return runHoldingLease(date, datePath, lease, fn);
+}
+
+async function runHoldingLease(date, datePath, lease, fn) {
+  try {
+    return await runWithContext({ ...getContext(), lease }, fn);
+  } catch (error) {
+    if (!error.leaseLost) {
+      throw error;
+    }
+    logger.error(`❌ ${date}: run lock lost, stopping`);
+    return lockedResult(
+      date,
+      datePath,
+      "🔒 Another run took over this date, stopped"
+    );
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * Run the full pipeline (extract → download → audit → report) for one date
+ * Progress is checkpointed in the run state, so a run that hits its time
+ * budget returns status "partial" and the next invocation resumes from there.
+ * A day whose failed records wait for their retry is reported at once and
+ * returns "waiting": the run that settles them sends the report again.
+ * Each invocation also leaves a run manifest with its metrics (metrics.js)
+ * @param {string} date - Date in MM/dd/yyyy format
+ * @param {Object} options - refresh: query AppSheet again and re-audit the
+ *   records that are new or changed since the cached extraction
+ * @returns {Object} - Per-date totals for the HTTP response
+ */
+export async function runAuditForDate(date, { refresh = false } = {}) {
+  const datePath = getDatePath(date);
+  const trigger = refresh ? "refresh" : "audit";
+
+  return withLogFields({ datePath }, () =>
+    withRunManifest({ date, datePath, trigger }, async () => {
+      enterStage("lock");
+      logger.info(`📅 Processing date: ${date} (path: ${datePath})`);
+
+      return runWithLease(date, datePath, async () => {
+        const elapsed = startTimer();
+        const result = await auditDate(date, datePath, refresh);
+        logger.info(`🏁 ${date}: ${result.status}`, {
+          status: result.status,
+          totalRecords: result.total_records,
+          audited: result.audited,
+          durationMs: elapsed(),
+        });
+        return result;
+      });
+    })
+  );
+}
+
+/**
+ * Audit outcomes and failed attempts (to be retried) among the results of an
+ * invocation, counted apart
+ */
+function countResults(results) {
+  const failed = results.filter((r) => r.status === "error").length;
+  return { audited: results.length - failed, failed };
+}
+
+async function auditDate(date, datePath, refresh) {
+  const bucket = getBucket();
+  const previousState = bucket ? await getRunState(bucket, datePath) : null;
+  const state = {
+    date,
+    report_sent: false,
+    ...previousState,
+    invocations: (previousState?.invocations || 0) + 1,
+  };
+
+  if (previousState && previousState.status === "partial") {
+    logger.info(
+      `⏯️ Resuming from checkpoint (stage: ${previousState.stage}, ${
+        previousState.remaining_row_ids?.length || 0
+      } records remaining)`
+    );
+  }
+
+  async function checkpoint(stage, status, remainingRecords = []) {
+    ensureLeaseHeld();
+    enterStage(stage);
+    Object.assign(state, {
+      stage,
+      status,
+      remaining_row_ids: remainingRecords.map((r) => r.rowId),
+    });
+    if (bucket) {
+      await saveRunState(bucket, datePath, state);
+    }
+  }
+
+  function partialResult(
+    totalRecords,
+    results,
+    remainingRecords,
+    message = "⏱️ Time budget reached, will resume on next run"
+  ) {
+    return {
+      date,
+      date_path: datePath,
+      status: "partial",
+      stage: state.stage,
+      total_records: totalRecords,
+      ...countResults(results),
+      remaining: remainingRecords.length,
+      message,
+    };
+  }
+
+  // Step 1: Extract data (from cache or AppSheet)
+  logger.info("\n--- Step 1: Extracting data ---");
+  enterStage("extract");
+  const extractTimer = startTimer();
+  const rawData = await extract(date, { refresh });
+  const viajeRecords = rawData.viaje || [];
+  const usuariosMap = rawData.usuariosMap || new Map();
+  countMetric("counts", "extracted", viajeRecords.length);
+
+  if (rawData.changes) {
+    await applyExtractionChanges(rawData.changes, datePath, state);
+  }
+
+  if (viajeRecords.length === 0) {
+    logger.warn("⚠️ No viaje records found with estado=Finalizado");
+    await checkpoint("complete", "complete");
+    return {
+      date,
+      date_path: datePath,
+      status: "complete",
+      total_records: 0,
+      audited: 0,
+      message: "No records to process",
+    };
+  }
+
+  logger.info(`✅ Found ${viajeRecords.length} records (estado=Finalizado)`, {
+    records: viajeRecords.length,
+    durationMs: extractTimer(),
+  });
+
+  // Step 2: Determine which records need processing
+  logger.info("\n--- Step 2: Checking processing status ---");
+  enterStage("status");
+  const unprocessedRecords = await getUnprocessedRecords(
+    viajeRecords,
+    datePath
+  );
+
+  let auditResults = [];
+
+  if (unprocessedRecords.length === 0) {
+    logger.info("✅ All records already processed!");
+  } else {
+    logger.info(
+      `📊 ${unprocessedRecords.length} unprocessed, ${
+        viajeRecords.length - unprocessedRecords.length
+      } already done`
+    );
+
+    // Step 3: Download images ONLY for unprocessed records
+    logger.info("\n--- Step 3: Downloading images for unprocessed records ---");
+    await checkpoint("download", "running", unprocessedRecords);
+    const { skipped, missingImages } = await downloadAndCacheImages(
+      unprocessedRecords,
+      datePath
+    );
+
+    if (skipped.length > 0) {
+      await checkpoint("download", "partial", unprocessedRecords);
+      return partialResult(viajeRecords.length, [], unprocessedRecords);
+    }
+
+    // Step 4: Audit records with Gemini
+    logger.info("\n--- Step 4: Auditing records ---");
+    await checkpoint("audit", "running", unprocessedRecords);
+    auditResults = await auditAllRecords(viajeRecords, datePath, {
+      missingImages,
+    });
+
+    const auditedIds = new Set(auditResults.map((r) => r.row_id));
+    const remainingRecords = unprocessedRecords.filter(
+      (r) => !auditedIds.has(r.rowId)
+    );
+
+    if (remainingRecords.length > 0) {
+      await checkpoint("audit", "partial", remainingRecords);
+      return partialResult(viajeRecords.length, auditResults, remainingRecords);
+    }
+  }
+
+  // Records a re-audit holds are finished by it, the day by a later run
+  const leasedIds = await getLeasedRowIds(datePath);
+  const leasedRecords = viajeRecords.filter((r) => leasedIds.includes(r.rowId));
+  if (leasedRecords.length > 0) {
+    await checkpoint("audit", "partial", leasedRecords);
+    return partialResult(
+      viajeRecords.length,
+      auditResults,
+      leasedRecords,
+      `🔒 ${leasedRecords.length} records are being re-audited, will resume on next run`
+    );
+  }
+
+  // Failed records are retried on later runs: the report lists them apart
+  // and goes out again once all of them are settled
+  const failedIds = new Set(
+    (await getFailedAttempts(datePath)).map((f) => f.row_id)
+  );
+  const waitingRecords = viajeRecords.filter((r) => failedIds.has(r.rowId));
+
+  // Step 5: Write the outcomes back to the viaje table (optional)
+  ensureLeaseHeld();
+  let writeBack = null;
+  if (isWriteBackEnabled()) {
+    logger.info("\n--- Step 5: Writing audit outcomes back to AppSheet ---");
+    enterStage("writeback");
+    writeBack = await writeBackResults(
+      datePath,
+      await getAllAuditResults(datePath)
+    );
+  }
+
+  // Step 6: Generate and send report (only once per completed day)
+  logger.info("\n--- Step 6: Generating and sending report ---");
+  enterStage("report");
+  if (!hasTimeLeft()) {
+    await checkpoint("report", "partial");
+    return partialResult(viajeRecords.length, auditResults, []);
+  }
+
+  if (
+    state.report_sent &&
+    state.report_failed_attempts > 0 &&
+    waitingRecords.length === 0
+  ) {
+    logger.info("📧 Report will be sent again with the retried records");
+    state.report_sent = false;
+  }
+
+  if (state.report_sent) {
+    logger.info(
+      `📧 Report already sent at ${state.report_sent_at}, skipping email report`
+    );
+  } else {
+    const allResults = await getAllAuditResults(datePath);
+
+    if (allResults.length + waitingRecords.length > 0) {
+      ensureLeaseHeld();
+      await sendAuditReport(date, datePath, allResults, usuariosMap);
+      state.report_sent = true;
+      state.report_sent_at = new Date().toISOString();
+      state.report_failed_attempts = waitingRecords.length;
+    } else {
+      logger.warn("⚠️ No audit results found, skipping email report");
+    }
+  }
+
+  // Rows AppSheet did not take keep the day open, so the next run (which
+  // resumes unfinished days) writes them back
+  if (writeBack?.pending > 0) {
+    await checkpoint("writeback", "partial");
+    return {
+      ...partialResult(
+        viajeRecords.length,
+        auditResults,
+        [],
+        `✍️ ${writeBack.pending} outcomes not written back to AppSheet, will retry on next run`
+      ),
+      report_sent: state.report_sent,
+    };
+  }
+
+  // Reported on time; the day is finished by the runs that retry them
+  if (waitingRecords.length > 0) {
+    await checkpoint("retry", "waiting", waitingRecords);
+    return {
+      date,
+      date_path: datePath,
+      status: "waiting",
+      total_records: viajeRecords.length,
+      ...countResults(auditResults),
+      remaining: waitingRecords.length,
+      report_sent: state.report_sent,
+      message: `⏳ ${waitingRecords.length} failed records will be retried on a later run`,
+    };
+  }
+
+  await checkpoint("complete", "complete");
+
+  return {
+    date,
+    date_path: datePath,
+    status: "complete",
+    total_records: viajeRecords.length,
+    ...countResults(auditResults),
+    report_sent: state.report_sent,
+    message: "✅ Audit complete!",
+  };
+}
+
+/**
+ * Re-audit the records a refresh found changed in AppSheet (new ones are
+ * simply unprocessed), archive the results of the ones no longer Finalizado
+ * and send the report again when the day's results moved
+ */
+async function applyExtractionChanges(changes, datePath, state) {
+  countMetric("counts", "refresh_added", changes.added.length);
+  countMetric("counts", "refresh_changed", changes.changed.length);
+  countMetric("counts", "refresh_removed", changes.removed.length);
+
+  const changedIds = changes.changed.map((change) => change.rowId);
+  if (changedIds.length > 0) {
+    logger.info(`🔁 ${changedIds.length} records changed in AppSheet`, {
+      changed: changes.changed,
+    });
+    await markForReaudit(datePath, changedIds);
+  }
+  if (changes.removed.length > 0) {
+    // Out of the reports: their results move to history/
+    logger.warn(
+      `⚠️ ${
+        changes.removed.length
+      } records are no longer Finalizado: ${changes.removed.join(", ")}`
+    );
+    await markForReaudit(datePath, changes.removed);
+  }
+
+  const moved =
+    changes.added.length + changedIds.length + changes.removed.length;
+  if (moved > 0 && state.report_sent) {
+    // The report already sent does not match the refreshed records
+    logger.info("📧 Report will be sent again with the refreshed records");
+    state.report_sent = false;
+  }
+}
+
+/**
+ * Run the pipeline for each date in turn, continuing past failed dates and
+ * leaving the dates not reached within the time budget as "partial"
+ * @param {Object} options - See runAuditForDate
+ */
+export async function runAuditForDates(dates, options = {}) {
+  const results = [];
+  for (const date of dates) {
+    if (!hasTimeLeft()) {
+      results.push({
+        date,
+        date_path: getDatePath(date),
+        status: "partial",
+        stage: "pending",
+        message: "⏱️ Time budget reached before this date was started",
+      });
+      continue;
+    }
+
+    try {
+      results.push(await runAuditForDate(date, options));
+    } catch (error) {
+      // Keep going with the remaining dates of a backfill
+      logger.error(`❌ Audit failed for ${date}`, { error });
+      results.push({ date, success: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Dates in the AUDIT_RESUME_LOOKBACK_DAYS (default 7) before a date whose run
+ * never completed (left partial, or crashed while running), oldest first
+ */
+async function findUnfinishedDates(date) {
+  const bucket = getBucket();
+  if (!bucket) {
+    return [];
+  }
+
+  const lookbackDays = parseInt(process.env.AUDIT_RESUME_LOOKBACK_DAYS || "7");
+  const dates = [];
+  for (let days = lookbackDays; days > 0; days--) {
+    const earlier = addDaysToDateString(date, -days);
+    const runState = await getRunState(bucket, getDatePath(earlier));
+    if (runState && runState.status !== "complete") {
+      dates.push(earlier);
+    }
+  }
+
+  if (dates.length > 0) {
+    logger.info(`⏯️ Resuming unfinished dates: ${dates.join(", ")}`);
+  }
+  return dates;
+}
+
+/**
+ * Run the pipeline for the dates of each tenant in turn (null: the
+ * single-tenant setup), all sharing the time budget of the invocation
+ * @param {Object} options - See runAuditForDate, plus resumeUnfinished: also
+ *   run the earlier dates left unfinished (the scheduled daily job moves on
+ *   to a new date every day, so nothing else would finish them)
+ * @returns {Array} - Per-date results, with the tenant they belong to
+ */
+export async function runAuditForTenants(tenants, dates, options = {}) {
+  const results = [];
+  for (const tenant of tenants) {
+    const tenantResults = await withTenant(tenant, async () => {
+      if (tenant) logger.info(`🏢 Tenant: ${tenant.id}`);
+      const unfinished = options.resumeUnfinished
+        ? await findUnfinishedDates(dates[0])
+        : [];
+      return runAuditForDates([...unfinished, ...dates], options);
+    });
+    results.push(
+      ...tenantResults.map((r) => (tenant ? { tenant: tenant.id, ...r } : r))
+    );
+  }
+  return results;
+}
+
+/**
+ * Leases of some records of a date, lost as soon as any of them is
+ * @returns {Object} - { lease, rowIds (leased), inProgress (rowIds other
+ *   runs hold) }
+ */
+async function acquireRecordLeases(datePath, rowIds) {
+  const leases = [];
+  const inProgress = [];
+  for (const rowId of rowIds) {
+    const lease = await acquireRunLock(datePath, rowId);
+    if (lease) {
+      leases.push({ rowId, lease });
+    } else {
+      inProgress.push(rowId);
+    }
+  }
+
+  return {
+    lease: {
+      get lost() {
+        return leases.some(({ lease }) => lease.lost);
+      },
+      release: () => Promise.all(leases.map(({ lease }) => lease.release())),
+    },
+    rowIds: leases.map(({ rowId }) => rowId),
+    inProgress,
+  };
+}
+
+/**
+ * Re-audit specific rowIds of a date, optionally re-sending the reports of
+ * the obras they belong to
+ *
+ * Each record is leased on its own, so re-audits of different records (one
+ * Pub/Sub message per record) run side by side; records another re-audit
+ * holds are skipped as in progress. A run of the whole date holding its lock
+ * makes the re-audit wait for a later attempt (locked); one started during
+ * the re-audit leaves its records to it.
+ */
+export async function reauditForDate(
+  date,
+  rowIds,
+  { resendReport = false } = {}
+) {
+  const datePath = getDatePath(date);
+
+  return withLogFields({ datePath }, () =>
+    withRunManifest({ date, datePath, trigger: "reaudit" }, async () => {
+      enterStage("reaudit");
+      logger.info(`🔁 Re-auditing ${rowIds.length} records for ${date}`);
+
+      // Leases first, then the date lock: a run of the date that starts
+      // after this check skips the leased records (see lock.js)
+      const leased = await acquireRecordLeases(datePath, rowIds);
+      if (await getRunLockHolder(datePath)) {
+        await leased.lease.release();
+        return lockedResult(date, datePath);
+      }
+      if (leased.rowIds.length === 0) {
+        await leased.lease.release();
+        return lockedResult(
+          date,
+          datePath,
+          "🔒 Other runs are already re-auditing these records"
+        );
+      }
+      if (leased.inProgress.length > 0) {
+        logger.info(
+          `🔒 Already being re-audited by other runs: ${leased.inProgress.join(
+            ", "
+          )}`
+        );
+      }
+
+      const result = await runHoldingLease(date, datePath, leased.lease, () =>
+        reauditDate(date, datePath, leased.rowIds, resendReport)
+      );
+      return result.status === "locked"
+        ? result
+        : { ...result, in_progress: leased.inProgress };
+    })
+  );
+}
+
+async function reauditDate(date, datePath, rowIds, resendReport) {
+  const rawData = await extract(date);
+  const viajeRecords = rawData.viaje || [];
+  const usuariosMap = rawData.usuariosMap || new Map();
+
+  const targets = viajeRecords.filter((r) => rowIds.includes(r.rowId));
+  const { missingImages } = await downloadAndCacheImages(targets, datePath);
+
+  ensureLeaseHeld();
+  const { results, notFound, firstAudits } = await reauditRecords(
+    viajeRecords,
+    rowIds,
+    datePath,
+    { missingImages }
+  );
+  ensureLeaseHeld();
+  await writeBackResults(datePath, results);
+
+  let reportSent = false;
+  if (resendReport && results.length > 0) {
+    const obras = [...new Set(targets.map((r) => r.obra || "Sin Obra"))];
+    await sendAuditReport(
+      date,
+      datePath,
+      await getAllAuditResults(datePath),
+      usuariosMap,
+      { obras }
+    );
+    reportSent = true;
+  }
+
+  return {
+    date,
+    date_path: datePath,
+    status: "complete",
+    reaudited: results.map((r) => ({
+      row_id: r.row_id,
+      status: r.status,
+      error: r.error,
+    })),
+    not_found: notFound,
+    first_audits: firstAudits,
+    report_sent: reportSent,
+  };
+}
+
+/**
+ * Send the report of a date again, for every obra or only the one given.
+ * It holds the run lock of the date, so it never races a run of the date,
+ * and records a report of the whole day in the run state.
+ */
+export async function resendReportForDate(date, { obra = null } = {}) {
+  const datePath = getDatePath(date);
+
+  return withLogFields({ datePath }, () =>
+    withRunManifest({ date, datePath, trigger: "resend" }, async () => {
+      enterStage("lock");
+      return runWithLease(date, datePath, () =>
+        resendReport(date, datePath, obra)
+      );
+    })
+  );
+}
+
+async function resendReport(date, datePath, obra) {
+  enterStage("report");
+  const results = (await getAllAuditResults(datePath)).filter(
+    (r) => !obra || (r.obra || "Sin Obra") === obra
+  );
+  if (results.length === 0) {
+    return {
+      date,
+      date_path: datePath,
+      status: "empty",
+      records: 0,
+      report_sent: false,
+      message: `⚠️ No audit results for ${date}${obra ? ` (${obra})` : ""}`,
+    };
+  }
+
+  const { usuariosMap } = await extract(date);
+  ensureLeaseHeld();
+  await sendAuditReport(date, datePath, results, usuariosMap || new Map(), {
+    obras: obra ? [obra] : null,
+  });
+
+  // A single obra's report leaves the day's as it was
+  const bucket = getBucket();
+  const state = bucket ? await getRunState(bucket, datePath) : null;
+  if (state && !obra) {
+    await saveRunState(bucket, datePath, {
+      ...state,
+      report_sent: true,
+      report_sent_at: new Date().toISOString(),
+      report_failed_attempts: (await getFailedAttempts(datePath)).length,
+    });
+  }
+
+  return {
+    date,
+    date_path: datePath,
+    status: "complete",
+    records: results.length,
+    report_sent: true,
+    message: `📧 Reports sent for ${date} (${results.length} records)`,
+  };
+}
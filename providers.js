@@ -0,0 +1,234 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import { getContext } from "./context.js";
+import { logger } from "./logger.js";
+
+/**
+ * Extraction providers: the model that reads the vale images
+ *
+ * A provider has two calls, each taking { prompt, promptVersion, schema,
+ * image, imageName } (image: { data: base64, mimeType }, schema: the JSON
+ * schema the answer must follow, see responses.js) and resolving to the raw
+ * text of the model's answer:
+ *   checkQuality(request)  - the image quality assessment
+ *   extractFields(request) - the OCR of numeroVale, placa, m3 and fecha
+ * Retries and validation stay in gemini.js. A failed call throws; errors
+ * with status 429 or 5xx are retried there.
+ *
+ * Selected by EXTRACTION_PROVIDER:
+ * - gemini (default): the Gemini API (GEMINI_API_KEY, GEMINI_MODEL)
+ * - record: Gemini, storing every answer in EXTRACTION_RECORDINGS_DIR
+ * - replay: answers from EXTRACTION_RECORDINGS_DIR only, never the API
+ * - mock: answers from the fixture files in EXTRACTION_FIXTURES_DIR
+ * A provider injected in the run context (extractionProvider) wins.
+ */
+
+const PROVIDERS = ["gemini", "record", "replay", "mock"];
+
+// Fixture used for images without their own
+const DEFAULT_FIXTURE = "_default";
+
+function providerError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+/**
+ * Gemini provider (the model injected in the run context, e.g. a fake in
+ * tests, wins over the API)
+ */
+export function createGeminiProvider() {
+  let apiModel = null;
+
+  function getModel() {
+    const { geminiModel } = getContext();
+    if (geminiModel) {
+      return geminiModel;
+    }
+    if (!apiModel) {
+      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+      // Use model from env or default to gemini-1.5-flash (more stable and higher quota)
+      const modelName = process.env.GEMINI_MODEL || "gemini-1.5-flash";
+      apiModel = genAI.getGenerativeModel({ model: modelName });
+    }
+    return apiModel;
+  }
+
+  // Structured output: Gemini answers JSON following the schema
+  async function generate({ prompt, schema, image }) {
+    const result = await getModel().generateContent({
+      contents: [
+        { role: "user", parts: [{ text: prompt }, { inlineData: image }] },
+      ],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema,
+      },
+    });
+    return result.response.text();
+  }
+
+  return {
+    name: "gemini",
+    checkQuality: generate,
+    extractFields: generate,
+  };
+}
+
+function getRecordingPath(dir, kind, { promptVersion, image }) {
+  const imageHash = createHash("sha256")
+    .update(Buffer.from(image.data, "base64"))
+    .digest("hex");
+  return path.join(dir, promptVersion, kind, `${imageHash}.json`);
+}
+
+/**
+ * Provider that stores the raw answers of another one on disk, keyed by the
+ * image hash and the prompt version
+ */
+export function createRecordingProvider(base, dir) {
+  function record(kind, call) {
+    return async (request) => {
+      const response = await call(request);
+      const filePath = getRecordingPath(dir, kind, request);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify(
+          {
+            kind,
+            prompt_version: request.promptVersion,
+            image_name: request.imageName,
+            provider: base.name,
+            recorded_at: new Date().toISOString(),
+            response,
+          },
+          null,
+          2
+        )
+      );
+      logger.debug(`📼 Recorded ${kind} answer for ${request.imageName}`);
+      return response;
+    };
+  }
+
+  return {
+    name: `record:${base.name}`,
+    checkQuality: record("quality", base.checkQuality),
+    extractFields: record("extraction", base.extractFields),
+  };
+}
+
+/**
+ * Provider that answers with the recordings of createRecordingProvider
+ * An image or prompt version never recorded is an error, not an API call
+ */
+export function createReplayProvider(dir) {
+  function replay(kind) {
+    return async (request) => {
+      const filePath = getRecordingPath(dir, kind, request);
+      if (!fs.existsSync(filePath)) {
+        throw providerError(
+          `No recorded ${kind} answer for ${request.imageName} (prompt ${request.promptVersion})`,
+          { recording: filePath }
+        );
+      }
+      return JSON.parse(fs.readFileSync(filePath, "utf8")).response;
+    };
+  }
+
+  return {
+    name: "replay",
+    checkQuality: replay("quality"),
+    extractFields: replay("extraction"),
+  };
+}
+
+/**
+ * Provider answering from fixture files: <dir>/<image name>.json (or
+ * _default.json) with a "quality" and an "extraction" answer each. An answer
+ * is an object (sent as JSON), a string (raw text) or { error: { status,
+ * message } } to fail the call
+ */
+export function createMockProvider(dir) {
+  function readFixture(imageName) {
+    const names = [path.parse(imageName || "").name, DEFAULT_FIXTURE];
+    for (const name of names) {
+      const filePath = path.join(dir, `${name}.json`);
+      if (name && fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+      }
+    }
+    throw providerError(`No extraction fixture for ${imageName} in ${dir}`);
+  }
+
+  function answer(kind) {
+    return async ({ imageName }) => {
+      const response = readFixture(imageName)[kind];
+      if (response === undefined) {
+        throw providerError(`Fixture for ${imageName} has no ${kind} answer`);
+      }
+      if (response?.error) {
+        throw providerError(response.error.message || "Mock provider error", {
+          status: response.error.status,
+        });
+      }
+      return typeof response === "string" ? response : JSON.stringify(response);
+    };
+  }
+
+  return {
+    name: "mock",
+    checkQuality: answer("quality"),
+    extractFields: answer("extraction"),
+  };
+}
+
+// Providers built so far by their settings, reused for every record
+const providers = new Map();
+
+function createProvider(name, recordingsDir) {
+  switch (name) {
+    case "gemini":
+      return createGeminiProvider();
+    case "record":
+      return createRecordingProvider(createGeminiProvider(), recordingsDir);
+    case "replay":
+      return createReplayProvider(recordingsDir);
+    case "mock":
+      return createMockProvider(
+        process.env.EXTRACTION_FIXTURES_DIR || "./extraction_fixtures"
+      );
+    default:
+      throw new Error(
+        `Unknown EXTRACTION_PROVIDER "${name}" (use ${PROVIDERS.join(", ")})`
+      );
+  }
+}
+
+/**
+ * Provider of the current run, from EXTRACTION_PROVIDER (built once per
+ * setting, not per record)
+ */
+export function getExtractionProvider() {
+  const { extractionProvider } = getContext();
+  if (extractionProvider) {
+    return extractionProvider;
+  }
+
+  const name = process.env.EXTRACTION_PROVIDER || "gemini";
+  const recordingsDir =
+    process.env.EXTRACTION_RECORDINGS_DIR || "./extraction_recordings";
+  const key = JSON.stringify([
+    name,
+    recordingsDir,
+    process.env.EXTRACTION_FIXTURES_DIR,
+    process.env.GEMINI_MODEL,
+  ]);
+
+  if (!providers.has(key)) {
+    providers.set(key, createProvider(name, recordingsDir));
+  }
+  return providers.get(key);
+}
@@ -0,0 +1,212 @@
+import { SchemaType } from "@google/generative-ai";
+
+/**
+ * Schemas of the model answers and their validation
+ *
+ * The schemas are sent as Gemini's responseSchema (structured output), and
+ * every answer is checked against them again here, whichever provider gave
+ * it: types are coerced (12 → "12", "0.9" → 0.9, "true" → true), confidences
+ * given as percentages become 0-1 and dates become DD/MM/YYYY. An answer that
+ * still does not fit throws an invalid response error, which is retryable:
+ * the next answer may well be valid.
+ */
+
+const FIELD_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    valor: { type: SchemaType.STRING },
+    confianza: { type: SchemaType.NUMBER },
+  },
+  required: ["valor", "confianza"],
+};
+
+const EXTRACTED_FIELDS = ["numeroVale", "placa", "m3", "fecha"];
+
+export const EXTRACTION_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: Object.fromEntries(
+    EXTRACTED_FIELDS.map((field) => [field, FIELD_SCHEMA])
+  ),
+  required: EXTRACTED_FIELDS,
+};
+
+export const QUALITY_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    qualityScore: { type: SchemaType.NUMBER },
+    isReadable: { type: SchemaType.BOOLEAN },
+    reason: { type: SchemaType.STRING },
+  },
+  required: ["qualityScore", "isReadable"],
+};
+
+function invalidResponseError(kind, problems) {
+  return Object.assign(
+    new Error(`Invalid ${kind} response: ${problems.join("; ")}`),
+    { invalidResponse: true, retryable: true, problems }
+  );
+}
+
+/**
+ * Coerce a value to a schema, collecting what does not fit in problems
+ */
+function coerce(value, schema, where, problems) {
+  switch (schema.type) {
+    case SchemaType.OBJECT: {
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        problems.push(`${where || "answer"} is not an object`);
+        return null;
+      }
+      const result = {};
+      for (const [key, property] of Object.entries(schema.properties)) {
+        const path = where ? `${where}.${key}` : key;
+        if (value[key] === undefined) {
+          if (schema.required?.includes(key)) {
+            problems.push(`${path} is missing`);
+          }
+          continue;
+        }
+        result[key] = coerce(value[key], property, path, problems);
+      }
+      return result;
+    }
+    case SchemaType.STRING:
+      if (value === null) return "";
+      if (typeof value === "string") return value.trim();
+      if (typeof value === "number") return String(value);
+      break;
+    case SchemaType.NUMBER: {
+      const number = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof number === "number" && Number.isFinite(number)) {
+        return number;
+      }
+      break;
+    }
+    case SchemaType.BOOLEAN:
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      break;
+  }
+  problems.push(`${where} is not a ${schema.type}: ${JSON.stringify(value)}`);
+  return null;
+}
+
+/**
+ * Confidence in 0-1 (whole percentages like 85 become 0.85)
+ */
+function coerceConfidence(value, where, problems) {
+  if (value === null) return null;
+  if (Number.isInteger(value) && value > 1 && value <= 100) return value / 100;
+  if (value < 0 || value > 1) {
+    problems.push(
+      `${where} ${value} is not between 0 and 1 (or a whole percentage up to 100)`
+    );
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Date in DD/MM/YYYY, from D/M/YY, DD-MM-YYYY, DD.MM.YYYY...
+ */
+function coerceDate(value, where, problems) {
+  if (!value) return value;
+
+  const match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  const [day, month, year] = match
+    ? [
+        Number(match[1]),
+        Number(match[2]),
+        Number(match[3].length === 2 ? `20${match[3]}` : match[3]),
+      ]
+    : [];
+  const date = match ? new Date(Date.UTC(year, month - 1, day)) : null;
+  if (!date || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    problems.push(`${where} "${value}" is not a DD/MM/YYYY date`);
+    return value;
+  }
+
+  return [
+    String(day).padStart(2, "0"),
+    String(month).padStart(2, "0"),
+    year,
+  ].join("/");
+}
+
+/**
+ * JSON of an answer (tolerating markdown code fences around it)
+ */
+function parseJSON(text, kind) {
+  const cleanedText = String(text ?? "")
+    .trim()
+    .replace(/^```(?:json)?\s*/, "")
+    .replace(/\s*```$/, "");
+  try {
+    return JSON.parse(cleanedText);
+  } catch (error) {
+    throw invalidResponseError(kind, [
+      `not JSON (${error.message}): ${cleanedText.substring(0, 200)}`,
+    ]);
+  }
+}
+
+/**
+ * Validate an extraction answer
+ * @returns {Object} - { numeroVale, placa, m3, fecha } each { valor, confianza }
+ * @throws {Error} - Invalid response error (retryable)
+ */
+export function parseExtractionResponse(text) {
+  const problems = [];
+  const result = coerce(
+    parseJSON(text, "extraction"),
+    EXTRACTION_SCHEMA,
+    "",
+    problems
+  );
+
+  for (const field of EXTRACTED_FIELDS) {
+    if (!result?.[field]) continue;
+    result[field].confianza = coerceConfidence(
+      result[field].confianza,
+      `${field}.confianza`,
+      problems
+    );
+  }
+  if (result?.fecha) {
+    result.fecha.valor = coerceDate(
+      result.fecha.valor,
+      "fecha.valor",
+      problems
+    );
+  }
+
+  if (problems.length > 0) {
+    throw invalidResponseError("extraction", problems);
+  }
+  return result;
+}
+
+/**
+ * Validate a quality check answer
+ * @returns {Object} - { qualityScore (0-10), isReadable, reason }
+ * @throws {Error} - Invalid response error (retryable)
+ */
+export function parseQualityResponse(text) {
+  const problems = [];
+  const result = coerce(
+    parseJSON(text, "quality"),
+    QUALITY_SCHEMA,
+    "",
+    problems
+  );
+
+  const score = result?.qualityScore;
+  if (typeof score === "number" && (score < 0 || score > 10)) {
+    problems.push(`qualityScore ${score} is not between 0 and 10`);
+  }
+
+  if (problems.length > 0) {
+    throw invalidResponseError("quality", problems);
+  }
+  return { reason: "", ...result };
+}
@@ -0,0 +1,346 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { extract } from "./extract.js";
+import {
+  getBucket,
+  fileExists,
+  readJSON,
+  writeJSON,
+  listFiles,
+} from "./bucket.js";
+import { getDatePath } from "./utils.js";
+import { logger } from "./logger.js";
+import { writeBackResults } from "./writeback.js";
+import { getTenant } from "./tenants.js";
+
+/**
+ * Manual review decisions for audit results
+ *
+ * A reviewer's decision on a record is stored next to the audit results at
+ * audits/<datePath>/reviews/<rowId>.json; the original result is never
+ * modified, and getAllAuditResults merges the review into the reports.
+ */
+
+// Roles that receive audit reports and may review their records
+export const REVIEWER_ROLES = ["Admin", "Super Admin", "Auditor"];
+
+// Statuses that need someone to look at the vale
+export const REVIEWABLE_STATUSES = [
+  "requiere_revision_manual",
+  "inconsistencias_encontradas",
+  "imagen_faltante",
+];
+
+// Statuses listed in the review queue until someone decides on them
+export const PENDING_REVIEW_STATUSES = [
+  "requiere_revision_manual",
+  "inconsistencias_encontradas",
+];
+
+// Final status of a record for each decision
+const DECISIONS = {
+  aprobado: { status: "aprobado", aprobado: true },
+  rechazado: { status: "rechazado", aprobado: false },
+  corregido: { status: "corregido", aprobado: true },
+};
+
+const CORRECTABLE_FIELDS = ["numeroVale", "placa", "m3", "fecha"];
+
+// Folders that hold reviewable audit results
+const RESULT_FOLDERS = ["manual_review", "processed", "missing_image"];
+
+function reviewError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Whether a usuario is active, has a reviewer role and an email
+ */
+export function isEligibleUsuario(usuario) {
+  return (
+    usuario.estado_usuario?.toUpperCase() === "ACTIVO" &&
+    REVIEWER_ROLES.some(
+      (role) => role.toLowerCase() === usuario.rol?.toLowerCase()
+    ) &&
+    Boolean(usuario.correo)
+  );
+}
+
+/**
+ * Find the eligible usuario with this email that has access to the obra
+ * @param {Map} usuarios - usuariosMap from extract()
+ * @returns {Object|null}
+ */
+export function findReviewer(usuarios, email, obra) {
+  const normalizedEmail = String(email || "")
+    .trim()
+    .toLowerCase();
+
+  return (
+    Array.from(usuarios.values()).find(
+      (u) =>
+        isEligibleUsuario(u) &&
+        u.correo.trim().toLowerCase() === normalizedEmail &&
+        u.relatedObras?.includes(obra || "Sin Obra")
+    ) || null
+  );
+}
+
+/**
+ * Find the current audit result of a record
+ * @returns {Object|null} - { result, path }
+ */
+async function findAuditResult(bucket, datePath, rowId) {
+  for (const folder of RESULT_FOLDERS) {
+    const resultPath = `audits/${datePath}/${folder}/${rowId}.json`;
+    if (await fileExists(bucket, resultPath)) {
+      return { result: await readJSON(bucket, resultPath), path: resultPath };
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate corrected field values (only the fields compared by the audit)
+ */
+function parseCorrections(decision, corrections) {
+  if (corrections == null || corrections === "") {
+    if (decision === "corregido") {
+      throw reviewError(400, 'Decision "corregido" requires "corrections"');
+    }
+    return null;
+  }
+
+  const parsed =
+    typeof corrections === "string" ? JSON.parse(corrections) : corrections;
+  const fields = Object.keys(parsed);
+  const unknown = fields.filter((f) => !CORRECTABLE_FIELDS.includes(f));
+
+  if (fields.length === 0 || unknown.length > 0) {
+    throw reviewError(
+      400,
+      `Invalid corrections (allowed fields: ${CORRECTABLE_FIELDS.join(", ")})`
+    );
+  }
+
+  return Object.fromEntries(
+    fields.map((field) => [field, String(parsed[field]).trim()])
+  );
+}
+
+/**
+ * Record a reviewer's decision on an audited record
+ * @param {string} date - Date in MM/dd/yyyy format
+ * @param {Object} submission - { rowId, reviewer (email, verified by the
+ *   caller), decision (aprobado | rechazado | corregido), corrections,
+ *   comment, obra (only records of this obra, e.g. a review link's) }
+ * @returns {Object} - The stored review
+ */
+export async function submitReview(
+  date,
+  { rowId, reviewer, decision, corrections, comment, obra }
+) {
+  if (!rowId) {
+    throw reviewError(400, 'Missing "rowId"');
+  }
+  if (!DECISIONS[decision]) {
+    throw reviewError(
+      400,
+      `Invalid decision "${decision}" (use ${Object.keys(DECISIONS).join(
+        ", "
+      )})`
+    );
+  }
+
+  let correcciones;
+  try {
+    correcciones = parseCorrections(decision, corrections);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw reviewError(400, `Invalid corrections: ${error.message}`);
+  }
+
+  const datePath = getDatePath(date);
+  const bucket = getBucket();
+  if (!bucket) {
+    throw new Error("No bucket available");
+  }
+
+  const current = await findAuditResult(bucket, datePath, rowId);
+  if (!current) {
+    throw reviewError(404, `No audit result for ${rowId} on ${date}`);
+  }
+  if (obra && (current.result.obra || "Sin Obra") !== obra) {
+    throw reviewError(403, `Record ${rowId} is not of obra ${obra}`);
+  }
+  if (!REVIEWABLE_STATUSES.includes(current.result.status)) {
+    throw reviewError(
+      409,
+      `Record ${rowId} has status "${current.result.status}" and does not need review`
+    );
+  }
+
+  // Reviewer roles and obras come from the usuarios cached with the extraction
+  const { usuariosMap } = await extract(date);
+  const usuario = findReviewer(
+    usuariosMap || new Map(),
+    reviewer,
+    current.result.obra
+  );
+  if (!usuario) {
+    throw reviewError(
+      403,
+      `${reviewer || "Unknown reviewer"} is not an active reviewer for obra ${
+        current.result.obra || "Sin Obra"
+      }`
+    );
+  }
+
+  const reviewPath = `audits/${datePath}/reviews/${rowId}.json`;
+  const previous = (await fileExists(bucket, reviewPath))
+    ? await readJSON(bucket, reviewPath)
+    : null;
+  const { history: previousHistory, ...previousReview } = previous || {};
+
+  const review = {
+    row_id: rowId,
+    date,
+    decision,
+    status: DECISIONS[decision].status,
+    aprobado: DECISIONS[decision].aprobado,
+    correcciones,
+    comentario: comment ? String(comment).trim() : null,
+    revisor: { correo: usuario.correo, rol: usuario.rol },
+    reviewed_at: new Date().toISOString(),
+    original_status: current.result.status,
+    original_path: current.path,
+    // Earlier decisions on the same record, oldest first
+    history: previous ? [...(previousHistory || []), previousReview] : [],
+  };
+
+  const saved = await writeJSON(bucket, reviewPath, review);
+  if (!saved) {
+    throw new Error(`Could not save review ${reviewPath}`);
+  }
+
+  logger.info(
+    `📝 Review saved for ${rowId}: ${decision} by ${usuario.correo} (${usuario.rol})`
+  );
+  await writeBackResults(datePath, [applyReview(current.result, review)]);
+  return review;
+}
+
+/**
+ * Load all reviews of a date
+ * @returns {Map} - rowId → review
+ */
+export async function getReviews(bucket, datePath) {
+  const reviews = new Map();
+  const files = await listFiles(bucket, `audits/${datePath}/reviews/`);
+
+  for (const filePath of files) {
+    const review = await readJSON(bucket, filePath);
+    if (review) {
+      reviews.set(review.row_id, review);
+    }
+  }
+
+  return reviews;
+}
+
+/**
+ * Merge a review into an audit result: the reviewed status becomes the final
+ * one, the status from the audit is kept as status_original
+ */
+export function applyReview(result, review) {
+  if (!review) {
+    return result;
+  }
+
+  return {
+    ...result,
+    status: review.status,
+    aprobado: review.aprobado,
+    status_original: result.status,
+    revision: {
+      decision: review.decision,
+      correcciones: review.correcciones,
+      comentario: review.comentario,
+      revisor: review.revisor,
+      reviewed_at: review.reviewed_at,
+    },
+  };
+}
+
+function signReviewPayload(encodedPayload, secret) {
+  return createHmac("sha256", secret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Signed token giving a reviewer access to the review queue of a date and
+ * obra (of a tenant, when tenants are configured), valid for
+ * REVIEW_LINK_TTL_MS (default 7 days)
+ */
+export function createReviewToken({ email, date, obra, tenant }) {
+  const secret = process.env.REVIEW_LINK_SECRET;
+  if (!secret) {
+    throw new Error("REVIEW_LINK_SECRET is not set");
+  }
+
+  const ttlMs = parseInt(process.env.REVIEW_LINK_TTL_MS || "604800000");
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ email, date, obra, tenant, exp: Date.now() + ttlMs })
+  ).toString("base64url");
+
+  return `${encodedPayload}.${signReviewPayload(encodedPayload, secret)}`;
+}
+
+/**
+ * Check a review token's signature and expiry
+ * @returns {Object|null} - { email, date, obra, tenant, exp }, or null if
+ *   invalid
+ */
+export function verifyReviewToken(token) {
+  const secret = process.env.REVIEW_LINK_SECRET;
+  const [encodedPayload, signature] = String(token || "").split(".");
+  if (!secret || !encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signReviewPayload(encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, "base64url").toString()
+    );
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Link to the review queue page for a reviewer, or null when review links are
+ * not configured (REVIEW_PAGE_URL and REVIEW_LINK_SECRET)
+ */
+export function createReviewLink(email, date, obra) {
+  const pageUrl = process.env.REVIEW_PAGE_URL;
+  if (!pageUrl || !process.env.REVIEW_LINK_SECRET) {
+    return null;
+  }
+
+  const url = new URL(pageUrl);
+  url.searchParams.set(
+    "token",
+    createReviewToken({ email, date, obra, tenant: getTenant()?.id })
+  );
+  return url.toString();
+}
@@ -0,0 +1,263 @@
+import { getAllAuditResults } from "./audit.js";
+import { getBucket, getPublicUrl } from "./bucket.js";
+import { PENDING_REVIEW_STATUSES } from "./review.js";
+import { getDatePath, escapeHtml } from "./utils.js";
+
+const FIELDS = [
+  { key: "numeroVale", label: "Número vale" },
+  { key: "placa", label: "Placa" },
+  { key: "m3", label: "M3" },
+  { key: "fecha", label: "Fecha" },
+];
+
+/**
+ * Records of a date and obra still waiting for a review decision, with what
+ * the page needs to show them
+ */
+export async function getReviewQueue(date, obra) {
+  const bucket = getBucket();
+  const results = await getAllAuditResults(getDatePath(date));
+
+  return results
+    .filter(
+      (r) =>
+        (r.obra || "Sin Obra") === obra &&
+        PENDING_REVIEW_STATUSES.includes(r.status)
+    )
+    .sort((a, b) => a.row_id.localeCompare(b.row_id))
+    .map((r) => ({
+      rowId: r.row_id,
+      status: r.status,
+      qualityScore: r.qualityScore ?? null,
+      reason: r.manualReviewReason || null,
+      imageUrl:
+        r.image_path && bucket ? getPublicUrl(bucket, r.image_path) : null,
+      fields: FIELDS.map(({ key, label }) => ({
+        key,
+        label,
+        appsheet: r.appsheet_values?.[key] ?? "",
+        extracted: r.extracciones?.[key] ?? "",
+        confidence: r.confianzas?.[key] ?? null,
+        matches: r.comparaciones?.[key]?.coincide ?? null,
+        note: r.comparaciones?.[key]?.observacion || "",
+      })),
+    }));
+}
+
+/**
+ * Simple page for errors and expired links
+ */
+export function renderMessagePage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #333; text-align: center; padding: 60px 20px; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+  </body>
+</html>`;
+}
+
+/**
+ * Review queue page: one vale at a time, image next to the AppSheet values
+ * and the Gemini extraction. Decisions are posted back as JSON with the
+ * reviewer's token.
+ */
+export function renderReviewPage({ date, obra, reviewer, token, records }) {
+  // Embedded as JSON in a <script>; "<" is escaped so no value can close it
+  const data = JSON.stringify({ token, records }).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Revisión de vales - ${escapeHtml(obra)} - ${escapeHtml(date)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #333; margin: 0; }
+      header { background: #4472C4; color: white; padding: 12px 20px; display: flex; justify-content: space-between; align-items: center; }
+      header h1 { font-size: 18px; margin: 0; }
+      main { display: flex; gap: 20px; padding: 20px; }
+      #image { flex: 1; min-width: 0; text-align: center; background: #f4f4f4; }
+      #image img { max-width: 100%; max-height: 80vh; }
+      #details { width: 520px; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+      th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+      td input { width: 100%; box-sizing: border-box; }
+      .no-match { color: #9c0006; font-weight: bold; }
+      .match { color: #006100; }
+      .low { color: #9c0006; }
+      .status { padding: 2px 8px; border-radius: 4px; background: #ffeb9c; }
+      .done { background: #c6efce; }
+      textarea { width: 100%; box-sizing: border-box; height: 60px; }
+      button { margin: 4px 4px 4px 0; padding: 8px 12px; cursor: pointer; }
+      kbd { background: #eee; border: 1px solid #ccc; border-radius: 3px; padding: 0 4px; }
+      #message { min-height: 20px; font-weight: bold; }
+      .empty { padding: 60px; text-align: center; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h1>🔎 ${escapeHtml(obra)} · ${escapeHtml(date)}</h1>
+      <span>${escapeHtml(reviewer)} · <span id="position"></span></span>
+    </header>
+    <div id="empty" class="empty" hidden>✅ No hay vales pendientes de revisión.</div>
+    <main id="review" hidden>
+      <div id="image"></div>
+      <div id="details">
+        <h2 id="row-id"></h2>
+        <p><span id="status" class="status"></span> <span id="reason"></span></p>
+        <table>
+          <thead>
+            <tr><th>Campo</th><th>AppSheet</th><th>Gemini</th><th>Conf.</th><th>Corrección</th></tr>
+          </thead>
+          <tbody id="fields"></tbody>
+        </table>
+        <textarea id="comment" placeholder="Comentario (opcional)"></textarea>
+        <div>
+          <button data-decision="aprobado">✅ Aprobar <kbd>A</kbd></button>
+          <button data-decision="rechazado">❌ Rechazar <kbd>R</kbd></button>
+          <button data-decision="corregido">✏️ Corregir <kbd>C</kbd></button>
+        </div>
+        <p><kbd>J</kbd>/<kbd>→</kbd> siguiente · <kbd>K</kbd>/<kbd>←</kbd> anterior · <kbd>Esc</kbd> salir del campo</p>
+        <p id="message"></p>
+      </div>
+    </main>
+    <script>
+      const { token, records } = ${data};
+      let current = 0;
+
+      const $ = (id) => document.getElementById(id);
+      const text = (value) => document.createTextNode(value == null ? "" : String(value));
+
+      function cell(row, value, className) {
+        const td = row.insertCell();
+        td.appendChild(text(value));
+        if (className) td.className = className;
+        return td;
+      }
+
+      function show(index) {
+        if (records.length === 0) {
+          $("empty").hidden = false;
+          $("review").hidden = true;
+          return;
+        }
+        current = (index + records.length) % records.length;
+        const record = records[current];
+        $("review").hidden = false;
+        $("position").textContent = (current + 1) + " / " + records.length;
+        $("row-id").textContent = record.rowId;
+        $("status").textContent = record.decision ? "Revisado: " + record.decision : record.status;
+        $("status").className = "status" + (record.decision ? " done" : "");
+        $("reason").textContent = record.reason || "";
+        $("comment").value = record.comment || "";
+        $("message").textContent = "";
+
+        const image = $("image");
+        image.replaceChildren();
+        if (record.imageUrl) {
+          const link = document.createElement("a");
+          link.href = record.imageUrl;
+          link.target = "_blank";
+          const img = document.createElement("img");
+          img.src = record.imageUrl;
+          img.alt = "Vale " + record.rowId;
+          link.appendChild(img);
+          image.appendChild(link);
+        } else {
+          image.appendChild(text("Sin imagen"));
+        }
+
+        const body = $("fields");
+        body.replaceChildren();
+        for (const field of record.fields) {
+          const row = body.insertRow();
+          cell(row, field.label);
+          cell(row, field.appsheet);
+          cell(row, field.extracted, field.matches === false ? "no-match" : field.matches ? "match" : "");
+          const confidence = field.confidence == null ? "" : Math.round(field.confidence * 100) + "%";
+          cell(row, confidence, field.confidence != null && field.confidence < 0.7 ? "low" : "");
+          const input = document.createElement("input");
+          input.name = field.key;
+          input.placeholder = field.extracted || field.appsheet;
+          row.insertCell().appendChild(input);
+          if (field.note) row.title = field.note;
+        }
+      }
+
+      async function decide(decision) {
+        const record = records[current];
+        const corrections = {};
+        for (const input of $("fields").querySelectorAll("input")) {
+          if (input.value.trim()) corrections[input.name] = input.value.trim();
+        }
+        if (decision === "corregido" && Object.keys(corrections).length === 0) {
+          $("message").textContent = "Escribe al menos un valor corregido.";
+          $("fields").querySelector("input").focus();
+          return;
+        }
+
+        $("message").textContent = "Guardando...";
+        const response = await fetch(window.location.pathname, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            token,
+            rowId: record.rowId,
+            decision,
+            corrections: decision === "corregido" ? corrections : undefined,
+            comment: $("comment").value,
+          }),
+        });
+
+        if (!response.ok) {
+          $("message").textContent = "❌ " + (await response.text());
+          return;
+        }
+        record.decision = decision;
+        record.comment = $("comment").value;
+        const next = records.findIndex((r, i) => i > current && !r.decision);
+        const first = records.findIndex((r) => !r.decision);
+        if (next === -1 && first === -1) {
+          show(current);
+          $("message").textContent = "✅ Todos los vales fueron revisados.";
+        } else {
+          show(next !== -1 ? next : first);
+        }
+      }
+
+      document.querySelectorAll("button[data-decision]").forEach((button) =>
+        button.addEventListener("click", () => decide(button.dataset.decision))
+      );
+
+      document.addEventListener("keydown", (event) => {
+        const editing = ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+        if (editing) {
+          if (event.key === "Escape") event.target.blur();
+          if (event.key === "Enter" && event.target.tagName === "INPUT") decide("corregido");
+          return;
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const key = event.key.toLowerCase();
+        if (key === "a") decide("aprobado");
+        else if (key === "r") decide("rechazado");
+        else if (key === "c") $("fields").querySelector("input").focus();
+        else if (key === "j" || key === "arrowright") show(current + 1);
+        else if (key === "k" || key === "arrowleft") show(current - 1);
+        else return;
+        event.preventDefault();
+      });
+
+      show(0);
+    </script>
+  </body>
+</html>`;
+}
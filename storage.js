@@ -0,0 +1,375 @@
+import { Storage } from "@google-cloud/storage";
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Storage backends behind the helpers in bucket.js
+ *
+ * Every backend implements the same interface, with paths relative to the
+ * bucket root (extractions/..., images/..., audits/...):
+ *   exists(path), readJSON(path), writeJSON(path, data),
+ *   readJSONWithGeneration(path), writeJSONIfGenerationMatch(path, data, gen),
+ *   upload(localPath, path), download(path, localPath), list(prefix),
+ *   delete(path, { ifGenerationMatch }), publicUrl(path)
+ *
+ * Methods throw on failure; a missing file is an error with code 404 and a
+ * failed generation precondition an error with code 412 (as in GCS).
+ */
+
+function storageError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function serializeJSON(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Pick the backend from STORAGE_BACKEND ("gcs" by default, or "local")
+ */
+export function createStorageFromConfig() {
+  const backend = process.env.STORAGE_BACKEND || "gcs";
+
+  if (backend === "local") {
+    return createLocalStorage(
+      process.env.LOCAL_STORAGE_DIR || "./local_bucket"
+    );
+  }
+  if (backend === "gcs") {
+    return createGcsStorage(process.env.GCP_BUCKET_NAME);
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use gcs or local)`);
+}
+
+/**
+ * Google Cloud Storage backend
+ */
+export function createGcsStorage(bucketName) {
+  const storage = fs.existsSync("service-account.json")
+    ? new Storage({
+        keyFilename: "service-account.json",
+      })
+    : new Storage();
+  const bucket = storage.bucket(bucketName);
+
+  return {
+    name: bucketName,
+    async exists(filePath) {
+      const [exists] = await bucket.file(filePath).exists();
+      return exists;
+    },
+    async readJSON(filePath) {
+      const [contents] = await bucket.file(filePath).download();
+      return JSON.parse(contents.toString());
+    },
+    async writeJSON(filePath, data) {
+      await bucket.file(filePath).save(serializeJSON(data), {
+        contentType: "application/json",
+        metadata: {
+          cacheControl: "no-cache",
+        },
+      });
+    },
+    async readJSONWithGeneration(filePath) {
+      try {
+        const [metadata] = await bucket.file(filePath).getMetadata();
+        const file = bucket.file(filePath, { generation: metadata.generation });
+        const [contents] = await file.download();
+        return {
+          data: JSON.parse(contents.toString()),
+          generation: String(metadata.generation),
+        };
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+    },
+    async writeJSONIfGenerationMatch(filePath, data, generation) {
+      try {
+        const file = bucket.file(filePath);
+        await file.save(serializeJSON(data), {
+          contentType: "application/json",
+          resumable: false,
+          metadata: {
+            cacheControl: "no-cache",
+          },
+          preconditionOpts: { ifGenerationMatch: generation },
+        });
+        if (file.metadata?.generation) {
+          return String(file.metadata.generation);
+        }
+        const [metadata] = await file.getMetadata();
+        return String(metadata.generation);
+      } catch (error) {
+        if (error.code === 412) return null;
+        throw error;
+      }
+    },
+    async upload(localPath, destPath) {
+      await bucket.upload(localPath, { destination: destPath });
+    },
+    async download(filePath, destPath) {
+      await bucket.file(filePath).download({ destination: destPath });
+    },
+    async list(prefix) {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map((file) => file.name);
+    },
+    async delete(filePath, { ifGenerationMatch } = {}) {
+      await bucket
+        .file(filePath)
+        .delete(ifGenerationMatch ? { ifGenerationMatch } : {});
+    },
+    publicUrl(filePath) {
+      return `https://storage.googleapis.com/${bucketName}/${filePath}`;
+    },
+  };
+}
+
+/**
+ * Local directory backend mirroring the bucket layout (for laptops and tests)
+ * The generation of a file is a hash of its contents
+ */
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function resolve(filePath) {
+    const fullPath = path.resolve(root, filePath);
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Path escapes storage root: ${filePath}`);
+    }
+    return fullPath;
+  }
+
+  function ensureDir(fullPath) {
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  }
+
+  function readFile(filePath) {
+    try {
+      return fs.readFileSync(resolve(filePath));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw storageError(404, `No such object: ${filePath}`);
+      }
+      throw error;
+    }
+  }
+
+  function getGeneration(filePath) {
+    try {
+      const contents = fs.readFileSync(resolve(filePath));
+      return createHash("sha1").update(contents).digest("hex");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  function listDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listDir(fullPath) : [fullPath];
+    });
+  }
+
+  return {
+    name: root,
+    async exists(filePath) {
+      return fs.existsSync(resolve(filePath));
+    },
+    async readJSON(filePath) {
+      return JSON.parse(readFile(filePath).toString());
+    },
+    async writeJSON(filePath, data) {
+      const fullPath = resolve(filePath);
+      ensureDir(fullPath);
+      fs.writeFileSync(fullPath, serializeJSON(data));
+    },
+    async readJSONWithGeneration(filePath) {
+      const generation = getGeneration(filePath);
+      if (!generation) return null;
+      return {
+        data: JSON.parse(readFile(filePath).toString()),
+        generation,
+      };
+    },
+    async writeJSONIfGenerationMatch(filePath, data, generation) {
+      const fullPath = resolve(filePath);
+      ensureDir(fullPath);
+
+      if (String(generation) === "0") {
+        try {
+          fs.writeFileSync(fullPath, serializeJSON(data), { flag: "wx" });
+        } catch (error) {
+          if (error.code === "EEXIST") return null;
+          throw error;
+        }
+      } else {
+        if (getGeneration(filePath) !== String(generation)) return null;
+        fs.writeFileSync(fullPath, serializeJSON(data));
+      }
+      return getGeneration(filePath);
+    },
+    async upload(localPath, destPath) {
+      const fullPath = resolve(destPath);
+      ensureDir(fullPath);
+      fs.copyFileSync(localPath, fullPath);
+    },
+    async download(filePath, destPath) {
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.writeFileSync(destPath, readFile(filePath));
+    },
+    async list(prefix) {
+      // Only walk the deepest directory the prefix names
+      const dir = prefix.slice(0, prefix.lastIndexOf("/") + 1);
+      return listDir(resolve(dir))
+        .map((fullPath) =>
+          path.relative(root, fullPath).split(path.sep).join("/")
+        )
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+    },
+    async delete(filePath, { ifGenerationMatch } = {}) {
+      const generation = getGeneration(filePath);
+      if (!generation) {
+        throw storageError(404, `No such object: ${filePath}`);
+      }
+      if (ifGenerationMatch && String(ifGenerationMatch) !== generation) {
+        throw storageError(412, `Precondition failed: ${filePath}`);
+      }
+      fs.unlinkSync(resolve(filePath));
+    },
+    publicUrl(filePath) {
+      return `file://${resolve(filePath)}`;
+    },
+  };
+}
+
+/**
+ * Overlay for dry runs: reads fall through to the base storage, writes,
+ * uploads and deletes stay in memory and are recorded in the report
+ */
+export function createDryRunStorage(base, report) {
+  // path -> Buffer, or null for a deleted file
+  const overlay = new Map();
+  const generations = new Map();
+  let writeCount = 0;
+
+  function setOverlay(filePath, contents) {
+    overlay.set(filePath, contents);
+    generations.set(filePath, `dry-${++writeCount}`);
+  }
+
+  function readOverlay(filePath) {
+    const contents = overlay.get(filePath);
+    if (contents === null) {
+      throw storageError(404, `No such object: ${filePath}`);
+    }
+    return contents;
+  }
+
+  async function currentGeneration(filePath) {
+    if (overlay.has(filePath)) {
+      return overlay.get(filePath) === null ? "0" : generations.get(filePath);
+    }
+    const current = await base.readJSONWithGeneration(filePath);
+    return current ? current.generation : "0";
+  }
+
+  return {
+    name: base.name,
+    dryRun: true,
+    async exists(filePath) {
+      if (overlay.has(filePath)) return overlay.get(filePath) !== null;
+      return base.exists(filePath);
+    },
+    async readJSON(filePath) {
+      if (!overlay.has(filePath)) return base.readJSON(filePath);
+      return JSON.parse(readOverlay(filePath).toString());
+    },
+    async writeJSON(filePath, data) {
+      setOverlay(filePath, Buffer.from(serializeJSON(data)));
+      report.writes[filePath] = data;
+    },
+    async readJSONWithGeneration(filePath) {
+      if (!overlay.has(filePath)) return base.readJSONWithGeneration(filePath);
+      if (overlay.get(filePath) === null) return null;
+      return {
+        data: JSON.parse(readOverlay(filePath).toString()),
+        generation: generations.get(filePath),
+      };
+    },
+    async writeJSONIfGenerationMatch(filePath, data, generation) {
+      if (String(generation) !== (await currentGeneration(filePath))) {
+        return null;
+      }
+      await this.writeJSON(filePath, data);
+      return generations.get(filePath);
+    },
+    async upload(localPath, destPath) {
+      const contents = fs.readFileSync(localPath);
+      setOverlay(destPath, contents);
+      report.uploads.push({ path: destPath, bytes: contents.length });
+    },
+    async download(filePath, destPath) {
+      if (!overlay.has(filePath)) return base.download(filePath, destPath);
+      fs.writeFileSync(destPath, readOverlay(filePath));
+    },
+    async list(prefix) {
+      const names = new Set(await base.list(prefix));
+      for (const [name, contents] of overlay) {
+        if (!name.startsWith(prefix)) continue;
+        if (contents === null) names.delete(name);
+        else names.add(name);
+      }
+      return [...names].sort();
+    },
+    async delete(filePath, { ifGenerationMatch } = {}) {
+      const generation = await currentGeneration(filePath);
+      if (generation === "0") {
+        throw storageError(404, `No such object: ${filePath}`);
+      }
+      if (ifGenerationMatch && String(ifGenerationMatch) !== generation) {
+        throw storageError(412, `Precondition failed: ${filePath}`);
+      }
+      setOverlay(filePath, null);
+      delete report.writes[filePath];
+      report.deletes.push(filePath);
+    },
+    publicUrl(filePath) {
+      return base.publicUrl(filePath);
+    },
+  };
+}
+
+/**
+ * View of a storage with every path under <prefix>/ (a tenant's data)
+ * Listed names come back relative to the prefix, like every other path
+ */
+export function createPrefixedStorage(base, prefix) {
+  const root = `${prefix}/`;
+  const full = (filePath) => `${root}${filePath}`;
+
+  return {
+    name: `${base.name}/${prefix}`,
+    dryRun: base.dryRun,
+    exists: (filePath) => base.exists(full(filePath)),
+    readJSON: (filePath) => base.readJSON(full(filePath)),
+    writeJSON: (filePath, data) => base.writeJSON(full(filePath), data),
+    readJSONWithGeneration: (filePath) =>
+      base.readJSONWithGeneration(full(filePath)),
+    writeJSONIfGenerationMatch: (filePath, data, generation) =>
+      base.writeJSONIfGenerationMatch(full(filePath), data, generation),
+    upload: (localPath, destPath) => base.upload(localPath, full(destPath)),
+    download: (filePath, destPath) => base.download(full(filePath), destPath),
+    async list(prefix) {
+      const names = await base.list(full(prefix));
+      return names.map((name) => name.slice(root.length));
+    },
+    delete: (filePath, options) => base.delete(full(filePath), options),
+    publicUrl: (filePath) => base.publicUrl(full(filePath)),
+  };
+}
@@ -0,0 +1,254 @@
+import fs from "fs";
+import { getContext, runWithContext } from "./context.js";
+
+/**
+ * Tenants: companies or AppSheet apps served by the same deployment
+ *
+ * Defined in the JSON file at TENANTS_PATH, keyed by tenant id:
+ *   { "<id>": { "storagePrefix": "<id>", "settings": { "APP_ID": ... } } }
+ *
+ * A run for a tenant keeps all its data under <storagePrefix>/ in the bucket
+ * (<tenant>/extractions/..., <tenant>/audits/...) and reads its settings
+ * before the environment: AppSheet app (APP_ID, APP_KEY,
+ * APPSHEET_MAPPING_PATH...), Drive source (DRIVE_KEYFILE_PATH,
+ * DRIVE_FOLDER_ID), email branding and sender (EMAIL_NAME, EMAIL_FROM,
+ * SMTP_*...) and validation rules (AUDIT_FECHA_TOLERANCE_DAYS,
+ * AUDIT_CONFIDENCE_THRESHOLD). A setting given as { "env": "NAME" } is read
+ * from that environment variable, so secrets stay out of the file.
+ *
+ * The settings of the company's app, Drive folder and mailbox never fall back
+ * to the environment: each tenant names its own (or an { env } shared on
+ * purpose), and the ones it cannot run without are required.
+ *
+ * Without TENANTS_PATH there is a single tenant configured by the
+ * environment, with the bucket layout at its root. When moving such a setup
+ * to tenants, give its tenant "storagePrefix": "" so it keeps the data at the
+ * root (only one tenant can); the other prefixes may not be the root folders.
+ */
+
+// Ids and prefixes end up in bucket paths and URLs
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Folders of the bucket layout, where a tenant at the root keeps its data
+const ROOT_FOLDERS = ["audits", "extractions", "images", "runs"];
+
+// Settings a tenant only reads from its own settings, so one that leaves them
+// out never extracts or emails another company's app
+const TENANT_SETTINGS = [
+  "APP_ID",
+  "APP_KEY",
+  "DRIVE_FOLDER_ID",
+  "DRIVE_KEYFILE_PATH",
+  "EMAIL_NAME",
+  "EMAIL_FROM",
+  "SMTP_HOST",
+  "SMTP_PORT",
+  "SMTP_SECURE",
+  "SMTP_USER",
+  "SMTP_PASS",
+];
+
+// Of those, the ones without a default
+const REQUIRED_SETTINGS = [
+  "APP_ID",
+  "APP_KEY",
+  "DRIVE_FOLDER_ID",
+  "EMAIL_FROM",
+  "SMTP_USER",
+  "SMTP_PASS",
+];
+
+let cached = null;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isSettingValue(value) {
+  return (
+    ["string", "number", "boolean"].includes(typeof value) ||
+    (isObject(value) && typeof value.env === "string")
+  );
+}
+
+/**
+ * Check a tenants config and fill in its defaults
+ * @returns {Array} - [{ id, storagePrefix, settings }]
+ * @throws {Error} - Listing every problem found
+ */
+export function validateTenants(config, name = "tenants") {
+  if (!isObject(config) || Object.keys(config).length === 0) {
+    throw new Error(`Invalid tenants ${name}: no tenants defined`);
+  }
+
+  const errors = [];
+  const prefixes = new Map();
+  const tenants = Object.entries(config).map(([id, spec]) => {
+    if (!SAFE_NAME.test(id)) {
+      errors.push(
+        `"${id}" is not a valid tenant id (letters, digits, - and _)`
+      );
+    }
+    if (!isObject(spec)) {
+      errors.push(`${id} must be an object`);
+      return null;
+    }
+
+    const storagePrefix = spec.storagePrefix ?? id;
+    const owner = prefixes.get(storagePrefix);
+    if (storagePrefix !== "" && !SAFE_NAME.test(storagePrefix)) {
+      errors.push(`${id}.storagePrefix must be a single path segment`);
+    } else if (ROOT_FOLDERS.includes(storagePrefix)) {
+      errors.push(
+        `${id}.storagePrefix "${storagePrefix}" is a folder of the bucket root`
+      );
+    } else if (owner) {
+      // Two tenants in the same folder would read each other's data
+      errors.push(`${id}.storagePrefix "${storagePrefix}" is used by ${owner}`);
+    }
+    prefixes.set(storagePrefix, id);
+
+    const settings = spec.settings ?? {};
+    if (!isObject(settings)) {
+      errors.push(`${id}.settings must be an object`);
+    } else {
+      for (const [setting, value] of Object.entries(settings)) {
+        if (!isSettingValue(value)) {
+          errors.push(
+            `${id}.settings.${setting} must be a string, number, boolean or { env }`
+          );
+        }
+      }
+
+      const missing = REQUIRED_SETTINGS.filter(
+        (setting) => settings[setting] === undefined
+      );
+      if (missing.length > 0) {
+        errors.push(`${id}.settings is missing ${missing.join(", ")}`);
+      }
+    }
+
+    return { id, storagePrefix, settings };
+  });
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(
+        `Invalid tenants ${name}:\n${errors
+          .map((error) => `  - ${error}`)
+          .join("\n")}`
+      ),
+      { errors }
+    );
+  }
+  return tenants;
+}
+
+/**
+ * Configured tenants (loaded once per TENANTS_PATH), empty without one
+ */
+export function getTenants() {
+  const filePath = process.env.TENANTS_PATH || "";
+  if (cached?.filePath !== filePath) {
+    let tenants = [];
+    if (filePath) {
+      let config;
+      try {
+        config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (error) {
+        throw new Error(`Could not read tenants ${filePath}: ${error.message}`);
+      }
+      tenants = validateTenants(config, filePath);
+    }
+    cached = { filePath, tenants };
+  }
+  return cached.tenants;
+}
+
+function findTenant(id) {
+  const tenants = getTenants();
+  if (tenants.length === 0) {
+    throw new Error(`Unknown tenant "${id}": tenants are not configured`);
+  }
+
+  const tenant = tenants.find((t) => t.id === id);
+  if (!tenant) {
+    throw new Error(
+      `Unknown tenant "${id}" (use one of: ${tenants
+        .map((t) => t.id)
+        .join(", ")})`
+    );
+  }
+  return tenant;
+}
+
+/**
+ * Tenants a job runs for: the one named, or all of them without a name (or
+ * with "all"). [null] when tenants are not configured
+ */
+export function resolveTenants(id) {
+  if (id == null || id === "" || id === "all") {
+    const tenants = getTenants();
+    return tenants.length > 0 ? tenants : [null];
+  }
+  return [findTenant(String(id))];
+}
+
+/**
+ * The single tenant an operation on existing data belongs to: the one named,
+ * or the only one configured. null when tenants are not configured
+ */
+export function resolveTenant(id) {
+  if (id != null && id !== "") {
+    return findTenant(String(id));
+  }
+
+  const tenants = getTenants();
+  if (tenants.length > 1) {
+    throw new Error(
+      `Missing "tenant" (one of: ${tenants.map((t) => t.id).join(", ")})`
+    );
+  }
+  return tenants[0] || null;
+}
+
+/**
+ * Run fn for a tenant (as is for null: the single-tenant setup)
+ */
+export function withTenant(tenant, fn) {
+  if (!tenant) {
+    return fn();
+  }
+
+  const context = getContext();
+  return runWithContext(
+    {
+      ...context,
+      tenant,
+      logFields: { ...context.logFields, tenant: tenant.id },
+    },
+    fn
+  );
+}
+
+/**
+ * Tenant of the current run, null outside one
+ */
+export function getTenant() {
+  return getContext().tenant || null;
+}
+
+/**
+ * A setting of the current tenant, falling back to the environment (except
+ * for the settings that are the tenant's own)
+ */
+export function getSetting(name) {
+  const tenant = getTenant();
+  const value = tenant?.settings[name];
+  if (value === undefined) {
+    return tenant && TENANT_SETTINGS.includes(name)
+      ? undefined
+      : process.env[name];
+  }
+  return isObject(value) ? process.env[value.env] : String(value);
+}
@@ -0,0 +1,171 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runCli } from "../cli.js";
+
+const DATE_PATH = "2025/11/26";
+
+function capture() {
+  const stream = { output: "", write: (text) => (stream.output += text) };
+  return stream;
+}
+
+describe("CLI", () => {
+  let storageDir;
+
+  function store(filePath, data) {
+    const fullPath = path.join(storageDir, filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, JSON.stringify(data));
+  }
+
+  async function run(...args) {
+    const stdout = capture();
+    const stderr = capture();
+    const exitCode = await runCli(args, { stdout, stderr });
+    return { exitCode, stdout: stdout.output, stderr: stderr.output };
+  }
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-test-"));
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+
+    store(`audits/${DATE_PATH}/processed/R1.json`, {
+      row_id: "R1",
+      obra: "Obra Norte",
+      status: "aprobado",
+      aprobado: true,
+    });
+    store(`audits/${DATE_PATH}/processed/R2.json`, {
+      row_id: "R2",
+      obra: "Obra Sur",
+      status: "inconsistencias_encontradas",
+      aprobado: false,
+    });
+    store(`audits/${DATE_PATH}/manual_review/R3.json`, {
+      row_id: "R3",
+      obra: "Obra Norte",
+      status: "requiere_revision_manual",
+      aprobado: false,
+    });
+    store(`audits/${DATE_PATH}/run_state.json`, {
+      date: "11/26/2025",
+      status: "complete",
+      stage: "complete",
+      invocations: 2,
+      report_sent: true,
+      report_sent_at: "2025-11-27T06:00:00.000Z",
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it("rejects unknown commands and bad options", async () => {
+    assert.equal((await run("deploy")).exitCode, 2);
+    assert.equal((await run("status", "--verbose")).exitCode, 2);
+    assert.equal((await run("status", "--date", "2025-02-30")).exitCode, 2);
+    assert.equal((await run("rerun", "--date", "2025-11-26")).exitCode, 2);
+    assert.equal(
+      (await run("rerun", "--date", "2025-11-26", "--row", " , ")).exitCode,
+      2
+    );
+    assert.equal(
+      (await run("audit", "--date", "2025-11-26", "--to", "2025-11-27"))
+        .exitCode,
+      2
+    );
+  });
+
+  it("runs the audit job and fails when its date is locked", async () => {
+    store("audits/2025/11/25/run_lock.json", {
+      owner: "other-run",
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    });
+
+    const { exitCode, stdout } = await run(
+      "audit",
+      "--date",
+      "2025-11-25",
+      "--json"
+    );
+    const body = JSON.parse(stdout);
+
+    assert.equal(exitCode, 1);
+    assert.equal(body.status, "locked");
+    assert.deepEqual(
+      body.dates.map((r) => r.status),
+      ["locked"]
+    );
+  });
+
+  it("resends the reports only while no run holds the date", async () => {
+    store("audits/2025/11/26/run_lock.json", {
+      owner: "other-run",
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    });
+
+    const { exitCode, stdout } = await run(
+      "resend-email",
+      "--date",
+      "2025-11-26",
+      "--json"
+    );
+    fs.rmSync(path.join(storageDir, "audits/2025/11/26/run_lock.json"));
+
+    assert.equal(exitCode, 1);
+    assert.equal(JSON.parse(stdout).status, "locked");
+  });
+
+  it("shows the status of a date", async () => {
+    const { exitCode, stdout } = await run(
+      "status",
+      "--date",
+      "2025-11-26",
+      "--json"
+    );
+    const status = JSON.parse(stdout);
+
+    assert.equal(exitCode, 0);
+    assert.equal(status.date, "11/26/2025");
+    assert.equal(status.run_state.report_sent, true);
+    assert.equal(status.lock, null);
+    assert.deepEqual(status.by_status, {
+      aprobado: 1,
+      inconsistencias_encontradas: 1,
+      requiere_revision_manual: 1,
+    });
+    assert.deepEqual(status.failed_attempts, []);
+
+    const text = await run("status", "--date", "11/26/2025");
+    assert.match(text.stdout, /Report: sent at 2025-11-27/);
+    assert.match(text.stdout, /Lock: free/);
+  });
+
+  it("reports the results of an obra to an Excel file", async () => {
+    const output = path.join(storageDir, "report.xlsx");
+    const { exitCode, stdout } = await run(
+      "report",
+      "--date",
+      "2025-11-26",
+      "--obra",
+      "Obra Norte",
+      "--output",
+      output,
+      "--json"
+    );
+    const report = JSON.parse(stdout);
+
+    assert.equal(exitCode, 0);
+    assert.deepEqual(Object.keys(report.obras), ["Obra Norte"]);
+    assert.equal(report.obras["Obra Norte"].total, 2);
+    assert.ok(fs.statSync(output).size > 0);
+  });
+});
@@ -0,0 +1,286 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startFakeAppSheet } from "./helpers/fakes.js";
+import { extract } from "../extract.js";
+
+const DATE = "11/26/2025";
+const CACHE_PATH = "extractions/2025/11/26/appsheet_data.json";
+
+const tables = {
+  viaje: [
+    {
+      "Row ID": "R1",
+      numero_vale: "1001",
+      foto_vale: "viaje_Images/R1.jpg",
+      m3_transportados: "12",
+      fecha_vale: `${DATE} 08:00:00`,
+      id_vehiculo: "V1",
+      id_obra: "O1",
+    },
+  ],
+  vehiculo: [{ "Row ID": "V1", placa: "ABC123" }],
+  obra: [{ "Row ID": "O1", nombre: "Obra Norte" }],
+  usuario: [
+    {
+      "Row ID": "U1",
+      correo_electronico: "auditor@ydn.test",
+      rol: "Auditor",
+      estado_usuario: "Activo",
+      "Related usuario_obras": "UO1",
+    },
+  ],
+  usuario_obra: [{ "Row ID": "UO1", id_obra: "O1" }],
+};
+
+describe("AppSheet extraction", () => {
+  let storageDir;
+  let appSheet;
+
+  async function useAppSheet(options) {
+    appSheet = await startFakeAppSheet(tables, options);
+    process.env.APPSHEET_BASE_URL = appSheet.baseUrl;
+  }
+
+  function cacheExists() {
+    return fs.existsSync(path.join(storageDir, CACHE_PATH));
+  }
+
+  before(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "extract-test-"));
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.APP_ID = "test-app";
+    process.env.APP_KEY = "test-key";
+    process.env.APPSHEET_RETRY_BASE_DELAY_MS = "1";
+    process.env.APPSHEET_MAX_RETRIES = "3";
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await appSheet?.close();
+    appSheet = null;
+    fs.rmSync(path.join(storageDir, "extractions"), {
+      recursive: true,
+      force: true,
+    });
+    delete process.env.APPSHEET_VIAJE_CHUNKS;
+  });
+
+  after(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it("retries 429 and 5xx responses before extracting", async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    await useAppSheet({
+      failures: {
+        usuario: [503, { status: 429, headers: { "Retry-After": "0" } }],
+      },
+    });
+
+    const { viaje, usuariosMap } = await extract(DATE);
+
+    assert.equal(
+      appSheet.requests.filter((r) => r.table === "usuario").length,
+      3
+    );
+    assert.deepEqual(
+      viaje.map((v) => [v.rowId, v.placa, v.obra]),
+      [["R1", "ABC123", "Obra Norte"]]
+    );
+    assert.deepEqual(usuariosMap.get("U1").relatedObras, ["Obra Norte"]);
+    assert.ok(cacheExists());
+  });
+
+  it("fails without caching when a table keeps failing", async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+    await useAppSheet({ failures: { vehiculo: [500, 502, 503] } });
+
+    await assert.rejects(
+      extract(DATE),
+      /AppSheet Find on vehiculo failed after 3/
+    );
+    assert.ok(!cacheExists());
+  });
+
+  it("does not retry client errors", async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    await useAppSheet({ failures: { usuario_obra: [400] } });
+
+    await assert.rejects(extract(DATE), /HTTP 400/);
+    assert.equal(
+      appSheet.requests.filter((r) => r.table === "usuario_obra").length,
+      1
+    );
+    assert.ok(!cacheExists());
+  });
+
+  it("rejects responses that are not rows", async () => {
+    mock.method(console, "log", () => {});
+    await useAppSheet({
+      failures: { usuario: [{ status: 200, body: { Rows: [] } }] },
+    });
+
+    await assert.rejects(
+      extract(DATE),
+      /Unexpected AppSheet response for usuario/
+    );
+    assert.ok(!cacheExists());
+  });
+
+  it("extracts a different schema described by the mapping", async () => {
+    mock.method(console, "log", () => {});
+    const mappingPath = path.join(storageDir, "mapping.json");
+    fs.writeFileSync(
+      mappingPath,
+      JSON.stringify({
+        source: {
+          table: "trips",
+          key: "trip_id",
+          dateColumn: "closed_at",
+          filter: { state: "Closed" },
+        },
+        lookups: {
+          trucks: { table: "trucks", key: "truck_id" },
+          sites: { table: "sites", key: "site_id" },
+        },
+        record: {
+          numeroVale: "ticket",
+          fotoVale: "photo",
+          m3: "volume",
+          fecha: { column: "ticket_date", format: "date" },
+          placa: {
+            column: "truck",
+            joins: [{ lookup: "trucks", column: "plate" }],
+            default: "",
+          },
+          obra: {
+            column: "site",
+            joins: [{ lookup: "sites", column: "name" }],
+          },
+        },
+        usuarios: {
+          table: "people",
+          key: "email",
+          fields: {
+            correo: "email",
+            rol: "role",
+            estado_usuario: "status",
+            relatedObras: {
+              column: "sites",
+              list: true,
+              joins: [{ lookup: "sites", column: "name" }],
+            },
+          },
+        },
+        validPlacas: { lookup: "trucks", column: "plate" },
+      })
+    );
+    process.env.APPSHEET_MAPPING_PATH = mappingPath;
+
+    appSheet = await startFakeAppSheet({
+      trips: [
+        {
+          trip_id: "T1",
+          ticket: "2001",
+          photo: "trips_Images/T1.jpg",
+          volume: "14",
+          ticket_date: `${DATE} 07:00:00`,
+          truck: "K1",
+          site: "S1",
+        },
+        { trip_id: "T2", ticket: "2002", truck: "K9", site: "S2" },
+      ],
+      trucks: [{ truck_id: "K1", plate: "XYZ987" }],
+      sites: [
+        { site_id: "S1", name: "Obra Norte" },
+        { site_id: "S2", name: "Obra Sur" },
+      ],
+      people: [
+        {
+          email: "jefe@ydn.test",
+          role: "Auditor",
+          status: "Activo",
+          sites: "S1 , S2",
+        },
+      ],
+    });
+    process.env.APPSHEET_BASE_URL = appSheet.baseUrl;
+
+    try {
+      const { viaje, usuariosMap } = await extract(DATE);
+
+      assert.deepEqual(viaje, [
+        {
+          rowId: "T1",
+          numeroVale: "2001",
+          fotoVale: "trips_Images/T1.jpg",
+          m3: "14",
+          fecha: "26/11/2025",
+          placa: "XYZ987",
+          obra: "Obra Norte",
+        },
+        {
+          rowId: "T2",
+          numeroVale: "2002",
+          fotoVale: undefined,
+          m3: undefined,
+          fecha: null,
+          placa: "",
+          obra: "Obra Sur",
+        },
+      ]);
+      assert.deepEqual(usuariosMap.get("jefe@ydn.test"), {
+        correo: "jefe@ydn.test",
+        rol: "Auditor",
+        estado_usuario: "Activo",
+        relatedObras: ["Obra Norte", "Obra Sur"],
+      });
+
+      const [selector] = appSheet.requests
+        .filter((r) => r.table === "trips")
+        .map((r) => r.payload.Properties.Selector);
+      assert.equal(
+        selector,
+        'Filter(trips, AND([closed_at] >= "11/26/2025", [state] = "Closed", [closed_at] < "11/27/2025"))'
+      );
+      assert.deepEqual(
+        JSON.parse(fs.readFileSync(path.join(storageDir, CACHE_PATH)))
+          .valid_placas,
+        ["XYZ987"]
+      );
+    } finally {
+      delete process.env.APPSHEET_MAPPING_PATH;
+    }
+  });
+
+  it("splits the viaje selector into time windows", async () => {
+    mock.method(console, "log", () => {});
+    process.env.APPSHEET_VIAJE_CHUNKS = "4";
+    await useAppSheet();
+
+    const { viaje } = await extract(DATE);
+
+    const selectors = appSheet.requests
+      .filter((r) => r.table === "viaje")
+      .map((r) => r.payload.Properties.Selector);
+    assert.equal(selectors.length, 4);
+    assert.match(
+      selectors[0],
+      />= "11\/26\/2025",.* < "11\/26\/2025 06:00:00"/
+    );
+    assert.match(
+      selectors[3],
+      />= "11\/26\/2025 18:00:00",.* < "11\/27\/2025"/
+    );
+    // The fake returns R1 for every window, merged by Row ID
+    assert.equal(viaje.length, 1);
+  });
+});
@@ -0,0 +1,189 @@
+import http from "http";
+import { Readable } from "stream";
+
+/**
+ * In-process fake of the AppSheet API (POST .../tables/<table>/Action)
+ * @param {Object} tables - Rows returned per table name
+ * @param {Object} options - failures: responses to send first per table, one
+ *   per request (a status code, or { status, body, headers })
+ */
+export async function startFakeAppSheet(
+  tables,
+  { appKey = "test-key", failures = {} } = {}
+) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const match = req.url.match(/\/apps\/([^/]+)\/tables\/([^/]+)\/Action$/);
+      const table = match ? decodeURIComponent(match[2]) : null;
+      requests.push({ table, payload: JSON.parse(body || "{}") });
+
+      if (req.headers.applicationaccesskey !== appKey) {
+        res.writeHead(403, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: "Invalid access key" }));
+      }
+
+      const failure = failures[table]?.shift();
+      if (failure != null) {
+        const {
+          status,
+          body = { error: "Scripted failure" },
+          headers,
+        } = typeof failure === "number" ? { status: failure } : failure;
+        res.writeHead(status, {
+          "Content-Type": "application/json",
+          ...headers,
+        });
+        return res.end(typeof body === "string" ? body : JSON.stringify(body));
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(tables[table] || []));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Fake Drive client for findFileIdByName / downloadFile
+ * @param {Object} files - File contents per file name
+ */
+export function createFakeDrive(files) {
+  const downloads = [];
+
+  return {
+    downloads,
+    files: {
+      async list({ q }) {
+        const name = q.match(/name='([^']+)'/)[1];
+        return {
+          data: {
+            files: name in files ? [{ id: `id-${name}`, name }] : [],
+          },
+        };
+      },
+      get({ fileId }, options, callback) {
+        const name = fileId.replace(/^id-/, "");
+        downloads.push(name);
+        callback(null, { data: Readable.from([Buffer.from(files[name])]) });
+      },
+    },
+  };
+}
+
+/**
+ * Gemini error carrying a status code, as thrown by @google/generative-ai
+ */
+export function geminiError(status, retryDelay = "0s") {
+  return Object.assign(new Error(`[${status}] Gemini error`), {
+    status,
+    errorDetails: [
+      {
+        "@type": "type.googleapis.com/google.rpc.RetryInfo",
+        retryDelay,
+      },
+    ],
+  });
+}
+
+/**
+ * Extraction response with the same confidence for every field
+ */
+export function extraction({ numeroVale, placa, m3, fecha }, confianza = 0.95) {
+  return {
+    numeroVale: { valor: numeroVale, confianza },
+    placa: { valor: placa, confianza },
+    m3: { valor: m3, confianza },
+    fecha: { valor: fecha, confianza },
+  };
+}
+
+/**
+ * Scripted Gemini model. Fake images contain their own key as text, which
+ * selects the script entry; each entry has `quality` and `extraction`
+ * responses (object → JSON, string → raw text, Error → thrown). Arrays are
+ * consumed one response per call, repeating the last one.
+ */
+export function createScriptedModel(script) {
+  const calls = [];
+
+  function nextResponse(entry, kind) {
+    const responses = entry[kind];
+    if (!Array.isArray(responses)) return responses;
+    return responses.length > 1 ? responses.shift() : responses[0];
+  }
+
+  return {
+    calls,
+    async generateContent({ contents, generationConfig }) {
+      const [{ text: prompt }, image] = contents[0].parts;
+      const key = Buffer.from(image.inlineData.data, "base64").toString();
+      const kind = prompt.includes("image quality assessor")
+        ? "quality"
+        : "extraction";
+      calls.push({ key, kind, generationConfig });
+
+      const entry = script[key];
+      if (!entry) throw new Error(`No script for image "${key}"`);
+
+      const response = nextResponse(entry, kind);
+      if (response instanceof Error) throw response;
+
+      const text =
+        typeof response === "string" ? response : JSON.stringify(response);
+      return { response: { text: () => text } };
+    },
+  };
+}
+
+/**
+ * Mail transport that captures messages instead of sending them
+ */
+export function createCapturedTransport() {
+  const sent = [];
+
+  return {
+    sent,
+    async sendMail(mail) {
+      sent.push(mail);
+      return { messageId: `test-${sent.length}` };
+    },
+  };
+}
+
+/**
+ * Request for a Pub/Sub CloudEvent (binary content mode) carrying data as the
+ * message's JSON payload
+ */
+export function pubsubCloudEvent(data, id = "message-1") {
+  return {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "ce-specversion": "1.0",
+      "ce-id": id,
+      "ce-type": "google.cloud.pubsub.topic.v1.messagePublished",
+      "ce-source": "//pubsub.googleapis.com/projects/test/topics/audits",
+    },
+    body: JSON.stringify({
+      message: {
+        messageId: id,
+        data: Buffer.from(
+          typeof data === "string" ? data : JSON.stringify(data)
+        ).toString("base64"),
+      },
+      subscription: "projects/test/subscriptions/audits",
+    }),
+  };
+}
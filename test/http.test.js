@@ -0,0 +1,274 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getTestServer } from "@google-cloud/functions-framework/testing";
+import { OAuth2Client } from "google-auth-library";
+import { createSignedHeaders } from "../auth.js";
+import { startFakeAppSheet, pubsubCloudEvent } from "./helpers/fakes.js";
+import "../index.js";
+
+describe("HTTP functions", () => {
+  let storageDir;
+  let appSheet;
+  const servers = {};
+
+  async function startServer(name) {
+    const server = getTestServer(name);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    servers[name] = server;
+  }
+
+  function url(name) {
+    return `http://127.0.0.1:${servers[name].address().port}/`;
+  }
+
+  function post(name, body, headers = null) {
+    const json = JSON.stringify(body);
+    return fetch(url(name), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(headers || createSignedHeaders("test-hmac-secret", json)),
+      },
+      body: json,
+    });
+  }
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "http-test-"));
+    appSheet = await startFakeAppSheet({});
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.APPSHEET_BASE_URL = appSheet.baseUrl;
+    process.env.APP_KEY = "test-key";
+    process.env.APP_ID = "test-app";
+    process.env.AUTH_HMAC_SECRET = "test-hmac-secret";
+    process.env.AUTH_OIDC_AUDIENCES = "https://audit.example.test";
+    process.env.AUTH_ALLOWED_EMAILS = "scheduler@ydn.iam.gserviceaccount.com";
+
+    await startServer("audit_images");
+    await startServer("reaudit_records");
+    await startServer("submit_review");
+    await startServer("review_queue");
+    await startServer("run_status");
+    await startServer("audit_events");
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    for (const server of Object.values(servers)) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await appSheet.close();
+    delete process.env.AUTH_HMAC_SECRET;
+    delete process.env.AUTH_OIDC_AUDIENCES;
+    delete process.env.AUTH_ALLOWED_EMAILS;
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it("audit_images only accepts POST", async () => {
+    const res = await fetch(url("audit_images"));
+    assert.equal(res.status, 405);
+  });
+
+  it("audit_images rejects unauthenticated requests before calling AppSheet", async () => {
+    const body = { date: "2025-11-26" };
+    const signed = createSignedHeaders("test-hmac-secret", "{}");
+    const stale = createSignedHeaders("test-hmac-secret", JSON.stringify(body));
+    stale["X-Audit-Timestamp"] = String(
+      Number(stale["X-Audit-Timestamp"]) - 600
+    );
+
+    for (const headers of [
+      {},
+      createSignedHeaders("wrong-secret", JSON.stringify(body)),
+      // Signed for a different body
+      signed,
+      stale,
+    ]) {
+      const res = await post("audit_images", body, headers);
+      assert.equal(res.status, 401);
+    }
+    assert.equal(appSheet.requests.length, 0);
+  });
+
+  it("audit_images accepts Google ID tokens from allowed callers", async () => {
+    const payloads = {
+      scheduler: {
+        iss: "https://accounts.google.com",
+        email: "scheduler@ydn.iam.gserviceaccount.com",
+        email_verified: true,
+      },
+      stranger: {
+        iss: "https://accounts.google.com",
+        email: "someone@gmail.com",
+        email_verified: true,
+      },
+    };
+    const verify = mock.method(
+      OAuth2Client.prototype,
+      "verifyIdToken",
+      async ({ idToken }) => {
+        if (!payloads[idToken]) throw new Error("Wrong number of segments");
+        return { getPayload: () => payloads[idToken] };
+      }
+    );
+
+    for (const [token, status] of [
+      ["stranger", 401],
+      ["garbage", 401],
+      ["scheduler", 400],
+    ]) {
+      const res = await post(
+        "audit_images",
+        { date: "2025-02-30" },
+        { Authorization: `Bearer ${token}` }
+      );
+      assert.equal(res.status, status);
+    }
+    assert.deepEqual(verify.mock.calls[0].arguments[0].audience, [
+      "https://audit.example.test",
+    ]);
+    verify.mock.restore();
+  });
+
+  it("audit_images rejects invalid dates before calling AppSheet", async () => {
+    const res = await post("audit_images", { date: "2025-02-30" });
+
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), /Invalid date/);
+    assert.equal(appSheet.requests.length, 0);
+  });
+
+  it("audit_images completes a date without records", async () => {
+    const res = await post("audit_images", { date: "2025-11-26" });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.status, "complete");
+    assert.equal(body.total_records, 0);
+    assert.deepEqual(
+      body.dates.map((d) => d.date),
+      ["11/26/2025"]
+    );
+
+    const runState = JSON.parse(
+      fs.readFileSync(path.join(storageDir, "audits/2025/11/26/run_state.json"))
+    );
+    assert.equal(runState.status, "complete");
+  });
+
+  it("reaudit_records requires rowIds", async () => {
+    const res = await post("reaudit_records", { date: "2025-11-26" });
+    assert.equal(res.status, 400);
+  });
+
+  it("submit_review never takes the reviewer from the request", async () => {
+    process.env.REVIEW_LINK_SECRET = "test-secret";
+    const review = {
+      date: "2025-11-26",
+      rowId: "R1",
+      reviewer: "auditor@ydn.test",
+      decision: "aprobado",
+    };
+
+    // HMAC callers have no identity of their own
+    const res = await post("submit_review", review);
+    assert.equal(res.status, 403);
+
+    const forged = await post("submit_review", {
+      ...review,
+      token: "forged.token",
+    });
+    assert.equal(forged.status, 401);
+
+    delete process.env.REVIEW_LINK_SECRET;
+  });
+
+  it("review_queue rejects requests without a valid token", async () => {
+    process.env.REVIEW_LINK_SECRET = "test-secret";
+    const appSheetRequests = appSheet.requests.length;
+
+    const page = await fetch(`${url("review_queue")}?token=forged.token`);
+    assert.equal(page.status, 401);
+    assert.match(page.headers.get("content-type"), /text\/html/);
+
+    const res = await post("review_queue", {
+      rowId: "R1",
+      decision: "aprobado",
+    });
+    assert.equal(res.status, 401);
+    assert.equal(appSheet.requests.length, appSheetRequests);
+
+    delete process.env.REVIEW_LINK_SECRET;
+  });
+
+  it("run_status returns the latest run manifests of a date", async () => {
+    fs.mkdirSync(path.join(storageDir, "runs/2025/11/20"), { recursive: true });
+    for (const [runId, startedAt, status] of [
+      ["run-a", "2025-11-27T06:00:00.000Z", "partial"],
+      ["run-b", "2025-11-27T06:10:00.000Z", "complete"],
+    ]) {
+      fs.writeFileSync(
+        path.join(storageDir, `runs/2025/11/20/${runId}.json`),
+        JSON.stringify({ run_id: runId, started_at: startedAt, status })
+      );
+    }
+
+    const query = "date=2025-11-20&limit=1";
+    assert.equal((await fetch(`${url("run_status")}?${query}`)).status, 401);
+
+    const res = await fetch(`${url("run_status")}?${query}`, {
+      headers: createSignedHeaders("test-hmac-secret", "", query),
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.dates[0].date, "11/20/2025");
+    assert.deepEqual(
+      body.dates[0].runs.map((r) => r.run_id),
+      ["run-b"]
+    );
+  });
+
+  it("audit_events runs the job of a Pub/Sub message", async () => {
+    const res = await fetch(
+      url("audit_events"),
+      pubsubCloudEvent({ date: "2025-11-21" })
+    );
+    assert.equal(res.status, 204);
+
+    const runs = fs.readdirSync(path.join(storageDir, "runs/2025/11/21"));
+    assert.equal(runs.length, 1);
+  });
+
+  it("audit_events acknowledges messages that can never succeed", async () => {
+    for (const data of ["not json", { date: "2025-02-30" }, { rowIds: [] }]) {
+      const res = await fetch(url("audit_events"), pubsubCloudEvent(data));
+      assert.equal(res.status, 204);
+    }
+  });
+
+  it("audit_events fails the delivery so Pub/Sub retries a locked date", async () => {
+    fs.mkdirSync(path.join(storageDir, "audits/2025/11/22"), {
+      recursive: true,
+    });
+    fs.writeFileSync(
+      path.join(storageDir, "audits/2025/11/22/run_lock.json"),
+      JSON.stringify({
+        owner: "other-run",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+
+    const res = await fetch(
+      url("audit_events"),
+      pubsubCloudEvent({ date: "2025-11-22" })
+    );
+    assert.equal(res.status, 500);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { logger, withLogFields, setLogFields } from "../logger.js";
+import { runWithContext } from "../context.js";
+
+describe("structured logger", () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    for (const method of ["log", "warn", "error"]) {
+      mock.method(console, method, (line) => lines.push({ method, line }));
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_FORMAT;
+  });
+
+  it("writes JSON entries with the run and record fields", async () => {
+    await runWithContext({ runId: "run-1" }, () =>
+      withLogFields({ datePath: "2025/11/26" }, async () => {
+        setLogFields({ stage: "audit" });
+        await withLogFields({ rowId: "R1", obra: "Obra Norte" }, async () =>
+          logger.info("\n🏁 R1: aprobado", { durationMs: 12 })
+        );
+        logger.error("❌ Failed", { error: new Error("boom") });
+      })
+    );
+
+    const [info, error] = lines.map(({ line }) => JSON.parse(line));
+    assert.deepEqual(
+      { ...info, "logging.googleapis.com/operation": undefined },
+      {
+        severity: "INFO",
+        message: "🏁 R1: aprobado",
+        runId: "run-1",
+        datePath: "2025/11/26",
+        stage: "audit",
+        rowId: "R1",
+        obra: "Obra Norte",
+        durationMs: 12,
+        "logging.googleapis.com/labels": { runId: "run-1" },
+        "logging.googleapis.com/operation": undefined,
+      }
+    );
+    assert.equal(info["logging.googleapis.com/operation"].id, "run-1");
+
+    assert.equal(lines[1].method, "error");
+    assert.equal(error.severity, "ERROR");
+    assert.equal(error.rowId, undefined);
+    assert.equal(error.error.message, "boom");
+    assert.match(error.error.stack, /boom/);
+  });
+
+  it("drops entries below LOG_LEVEL", () => {
+    logger.debug("✅ Saved JSON to bucket: a.json");
+    process.env.LOG_LEVEL = "warning";
+    logger.info("📅 Processing date");
+    logger.warn("⚠️ No index found");
+
+    assert.deepEqual(
+      lines.map(({ method, line }) => [method, JSON.parse(line).severity]),
+      [["warn", "WARNING"]]
+    );
+  });
+
+  it("writes plain messages in text format", () => {
+    process.env.LOG_FORMAT = "text";
+    logger.info("📅 Processing date", { datePath: "2025/11/26" });
+
+    assert.deepEqual(lines, [{ method: "log", line: "📅 Processing date" }]);
+  });
+});
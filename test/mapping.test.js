@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getAppSheetMapping, validateAppSheetMapping } from "../mapping.js";
+
+const defaultMapping = JSON.parse(
+  fs.readFileSync(
+    fileURLToPath(new URL("../appsheet.mapping.json", import.meta.url)),
+    "utf8"
+  )
+);
+
+test("loads the default mapping with its shorthands expanded", () => {
+  const mapping = getAppSheetMapping();
+
+  assert.equal(mapping.source.table, "viaje");
+  assert.deepEqual(mapping.source.filter, { estado: "Finalizado" });
+  assert.deepEqual(mapping.record.numeroVale, {
+    column: "numero_vale",
+    list: false,
+    joins: [],
+  });
+  assert.equal(mapping.lookups.obra.key, "Row ID");
+  assert.equal(mapping.usuarios.fields.relatedObras.joins.length, 2);
+  assert.deepEqual(mapping.writeback, {
+    table: "viaje",
+    key: "Row ID",
+    columns: {
+      status: "estado_auditoria",
+      reason: "motivo_auditoria",
+      evidence: "evidencia_auditoria",
+    },
+  });
+});
+
+test("keeps the mapping of every file path loaded", () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mapping-test-"));
+  const otherPath = path.join(tmpDir, "otra.mapping.json");
+  fs.writeFileSync(
+    otherPath,
+    JSON.stringify({
+      ...defaultMapping,
+      source: { ...defaultMapping.source, table: "viajes" },
+    })
+  );
+
+  try {
+    const defaults = getAppSheetMapping();
+    process.env.APPSHEET_MAPPING_PATH = otherPath;
+    const other = getAppSheetMapping();
+    delete process.env.APPSHEET_MAPPING_PATH;
+
+    assert.equal(other.source.table, "viajes");
+    assert.equal(getAppSheetMapping(), defaults);
+    process.env.APPSHEET_MAPPING_PATH = otherPath;
+    assert.equal(getAppSheetMapping(), other);
+  } finally {
+    delete process.env.APPSHEET_MAPPING_PATH;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test("reports every problem of an invalid mapping", () => {
+  const { fecha, ...record } = defaultMapping.record;
+  const broken = {
+    ...defaultMapping,
+    source: { table: "viaje" },
+    record: {
+      ...record,
+      m3: { column: "m3", format: "number" },
+      placa: { column: "id_vehiculo", joins: [{ lookup: "camion" }] },
+    },
+    usuarios: {
+      ...defaultMapping.usuarios,
+      fields: {
+        ...defaultMapping.usuarios.fields,
+        relatedObras: "Related usuario_obras",
+      },
+    },
+  };
+
+  assert.ok(fecha);
+  assert.throws(
+    () => validateAppSheetMapping(broken),
+    (error) => {
+      assert.deepEqual(error.errors, [
+        "source.dateColumn must be a column name",
+        "record.fecha is required",
+        "record.m3.format must be one of: date",
+        "record.placa.joins[0].lookup must name one of the lookups",
+        "usuarios.fields.relatedObras must be a list",
+      ]);
+      assert.match(error.message, /^Invalid AppSheet mapping mapping:/);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,801 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  startFakeAppSheet,
+  createFakeDrive,
+  createScriptedModel,
+  createCapturedTransport,
+  extraction,
+  geminiError,
+} from "./helpers/fakes.js";
+import { runWithContext } from "../context.js";
+import { createDryRun } from "../dryrun.js";
+import { getAllAuditResults } from "../audit.js";
+import {
+  runAuditForDate,
+  runAuditForTenants,
+  reauditForDate,
+  resendReportForDate,
+} from "../pipeline.js";
+
+const DATE = "11/26/2025";
+const DATE_PATH = "2025/11/26";
+
+const viaje = [
+  { id: "R1", vale: "1001", obra: "O1" },
+  { id: "R2", vale: "1002", obra: "O1" },
+  { id: "R3", vale: "1003", obra: "O1" },
+  { id: "R4", vale: "1004", obra: "O1" },
+  { id: "R5", vale: "1005", obra: "O2" },
+  { id: "R6", vale: "1006", obra: "O1", noPhoto: true },
+  { id: "R7", vale: "1007", obra: "O1" },
+].map(({ id, vale, obra, noPhoto }) => ({
+  "Row ID": id,
+  numero_vale: vale,
+  foto_vale: noPhoto ? "" : `viaje_Images/${id}.jpg`,
+  m3_transportados: "12",
+  fecha_vale: `${DATE} 08:00:00`,
+  id_vehiculo: "V1",
+  id_obra: obra,
+}));
+
+const tables = {
+  viaje,
+  vehiculo: [{ "Row ID": "V1", placa: "ABC123" }],
+  obra: [
+    { "Row ID": "O1", nombre: "Obra Norte" },
+    { "Row ID": "O2", nombre: "Obra Sur" },
+  ],
+  usuario: [
+    {
+      "Row ID": "U1",
+      correo_electronico: "auditor@ydn.test",
+      rol: "Auditor",
+      estado_usuario: "Activo",
+      "Related usuario_obras": "UO1",
+    },
+    {
+      "Row ID": "U2",
+      correo_electronico: "inactivo@ydn.test",
+      rol: "Admin",
+      estado_usuario: "Inactivo",
+      "Related usuario_obras": "UO2",
+    },
+    {
+      "Row ID": "U3",
+      correo_electronico: "conductor@ydn.test",
+      rol: "Conductor",
+      estado_usuario: "Activo",
+      "Related usuario_obras": "UO1",
+    },
+  ],
+  usuario_obra: [
+    { "Row ID": "UO1", id_obra: "O1" },
+    { "Row ID": "UO2", id_obra: "O2" },
+  ],
+};
+
+// Scripted AppSheet errors per table (null lets a request through)
+const appSheetFailures = {};
+
+const goodQuality = { qualityScore: 9, isReadable: true, reason: "" };
+const fields = (numeroVale, m3 = "12") => ({
+  numeroVale,
+  placa: "ABC123",
+  m3,
+  fecha: "26/11/2025",
+});
+
+describe("audit pipeline (offline)", () => {
+  let storageDir;
+  let appSheet;
+  let drive;
+  let model;
+  let transporter;
+
+  function runInContext(fn, extra = {}) {
+    return runWithContext(
+      {
+        runId: "test-run",
+        drive,
+        geminiModel: model,
+        transporter,
+        ...extra,
+      },
+      fn
+    );
+  }
+
+  function readStored(filePath) {
+    return JSON.parse(fs.readFileSync(path.join(storageDir, filePath)));
+  }
+
+  function storedExists(filePath) {
+    return fs.existsSync(path.join(storageDir, filePath));
+  }
+
+  before(async () => {
+    // The pipeline logs every step; keep the test output readable
+    mock.method(console, "log", () => {});
+
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-test-"));
+    appSheet = await startFakeAppSheet(tables, { failures: appSheetFailures });
+
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.DRY_RUN_OUTPUT_DIR = fs.mkdtempSync(
+      path.join(os.tmpdir(), "audit-dry-run-")
+    );
+    process.env.APPSHEET_BASE_URL = appSheet.baseUrl;
+    process.env.APP_ID = "test-app";
+    process.env.APP_KEY = "test-key";
+    process.env.GEMINI_RETRY_BASE_DELAY_MS = "1";
+    process.env.AUDIT_MAX_ATTEMPTS = "2";
+    delete process.env.EMAIL_TEST_MODE;
+
+    // R5's photo is missing from Drive
+    drive = createFakeDrive({
+      "R1.jpg": "R1",
+      "R2.jpg": "R2",
+      "R3.jpg": "R3",
+      "R4.jpg": "R4",
+      "R7.jpg": "R7",
+    });
+    model = createScriptedModel({
+      R1: { quality: goodQuality, extraction: extraction(fields("1001")) },
+      R2: {
+        quality: goodQuality,
+        extraction: [
+          extraction(fields("1002", "10")),
+          extraction(fields("1002")),
+        ],
+      },
+      R3: {
+        quality: { qualityScore: 3, isReadable: false, reason: "Borrosa" },
+      },
+      R4: {
+        quality: goodQuality,
+        extraction: [
+          "this is not json",
+          geminiError(429),
+          extraction(fields("1004")),
+        ],
+      },
+      // Gemini keeps rejecting R7's image
+      R7: { quality: goodQuality, extraction: geminiError(400) },
+    });
+    transporter = createCapturedTransport();
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await appSheet.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(process.env.DRY_RUN_OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  it("audits every record and writes the bucket layout", async () => {
+    const result = await runInContext(() => runAuditForDate(DATE));
+
+    // R7 failed and waits for its retry; the day is reported meanwhile
+    assert.equal(result.status, "waiting");
+    assert.equal(result.total_records, 7);
+    assert.equal(result.audited, 6);
+    assert.equal(result.failed, 1);
+    assert.equal(result.remaining, 1);
+
+    assert.ok(storedExists(`extractions/${DATE_PATH}/appsheet_data.json`));
+    assert.ok(storedExists(`images/${DATE_PATH}/R1.jpg`));
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R1.json`).status,
+      "aprobado"
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R2.json`).status,
+      "inconsistencias_encontradas"
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/manual_review/R3.json`).status,
+      "requiere_revision_manual"
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R4.json`).status,
+      "aprobado"
+    );
+    assert.ok(!storedExists(`audits/${DATE_PATH}/failed/R5.json`));
+
+    const failure = readStored(`audits/${DATE_PATH}/failed/R7.json`);
+    assert.equal(failure.status, "error");
+    assert.equal(failure.attempts, 1);
+    assert.ok(failure.next_retry_at);
+
+    const index = readStored(`audits/${DATE_PATH}/index.json`);
+    assert.deepEqual([...index.processed_ids].sort(), [
+      "R1",
+      "R2",
+      "R3",
+      "R4",
+      "R5",
+      "R6",
+    ]);
+
+    const runState = readStored(`audits/${DATE_PATH}/run_state.json`);
+    assert.equal(runState.status, "waiting");
+    assert.deepEqual(runState.remaining_row_ids, ["R7"]);
+    assert.equal(runState.report_sent, true);
+    assert.equal(runState.report_failed_attempts, 1);
+    assert.equal(transporter.sent.length, 1);
+    assert.ok(!storedExists(`audits/${DATE_PATH}/run_lock.json`));
+  });
+
+  it("records viajes without a findable vale photo as imagen_faltante", () => {
+    const notInDrive = readStored(`audits/${DATE_PATH}/missing_image/R5.json`);
+    assert.equal(notInDrive.status, "imagen_faltante");
+    assert.equal(notInDrive.aprobado, false);
+    assert.match(notInDrive.motivo, /no encontrada en Drive/);
+
+    const noPhoto = readStored(`audits/${DATE_PATH}/missing_image/R6.json`);
+    assert.equal(noPhoto.status, "imagen_faltante");
+    assert.equal(noPhoto.motivo, "El viaje no tiene foto del vale");
+    assert.ok(!model.calls.some((c) => c.key === "R5" || c.key === "R6"));
+  });
+
+  it("retries malformed JSON and 429 responses from Gemini", () => {
+    const r4Extractions = model.calls.filter(
+      (c) => c.key === "R4" && c.kind === "extraction"
+    );
+    assert.equal(r4Extractions.length, 3);
+  });
+
+  it("writes a run manifest with the metrics of the invocation", () => {
+    const manifest = readStored(`runs/${DATE_PATH}/test-run.json`);
+
+    assert.equal(manifest.status, "waiting");
+    assert.equal(manifest.trigger, "audit");
+    assert.ok(manifest.finished_at >= manifest.started_at);
+    assert.deepEqual(Object.keys(manifest.stages), [
+      "lock",
+      "extract",
+      "status",
+      "download",
+      "audit",
+      "report",
+      "retry",
+    ]);
+    assert.ok(manifest.stages.audit.duration_ms >= 0);
+    assert.deepEqual(manifest.counts, {
+      extracted: 7,
+      downloaded: 5,
+      images_not_found: 1,
+      images_missing: 1,
+      downloads_skipped: 0,
+      audited: 7,
+    });
+    assert.deepEqual(manifest.by_status, {
+      aprobado: 2,
+      inconsistencias_encontradas: 1,
+      requiere_revision_manual: 1,
+      imagen_faltante: 2,
+      error: 1,
+    });
+    assert.deepEqual(manifest.gemini, {
+      quality_checks: 5,
+      extraction_calls: 6,
+      invalid_responses: 1,
+      rate_limited: 1,
+      retries: 2,
+    });
+    assert.deepEqual(manifest.emails, { "Obra Norte": 1 });
+    assert.deepEqual(
+      manifest.errors.map((e) => [e.rowId, e.stage]),
+      [["R7", "audit"]]
+    );
+  });
+
+  it("lists the failed records apart in the report sent on time", () => {
+    const [mail] = transporter.sent;
+    assert.match(mail.html, /Fallidos:<\/span>\s*<span class="danger">1</);
+    assert.match(mail.html, /serán reintentados en una próxima ejecución/);
+  });
+
+  it("does not report again while a failed record waits for its retry", async () => {
+    // Keep R7 inside its retry backoff
+    const failurePath = `audits/${DATE_PATH}/failed/R7.json`;
+    fs.writeFileSync(
+      path.join(storageDir, failurePath),
+      JSON.stringify({
+        ...readStored(failurePath),
+        next_retry_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+
+    const callsBefore = model.calls.length;
+    const result = await runInContext(() => runAuditForDate(DATE));
+
+    assert.equal(result.status, "waiting");
+    assert.equal(result.audited, 0);
+    assert.equal(result.remaining, 1);
+    assert.equal(model.calls.length, callsBefore);
+    assert.equal(transporter.sent.length, 1);
+  });
+
+  it("dead-letters a record once its retries are exhausted", async () => {
+    const failurePath = `audits/${DATE_PATH}/failed/R7.json`;
+    fs.writeFileSync(
+      path.join(storageDir, failurePath),
+      JSON.stringify({
+        ...readStored(failurePath),
+        next_retry_at: new Date(Date.now() - 1000).toISOString(),
+      })
+    );
+
+    const result = await runInContext(() => runAuditForDate(DATE));
+    assert.equal(result.status, "complete");
+    assert.equal(result.audited, 1);
+    assert.equal(result.report_sent, true);
+
+    const deadLetter = readStored(`audits/${DATE_PATH}/dead_letter/R7.json`);
+    assert.equal(deadLetter.status, "dead_letter");
+    assert.equal(deadLetter.attempts, 2);
+    assert.equal(deadLetter.errors.length, 2);
+    assert.ok(!storedExists(failurePath));
+    assert.ok(
+      readStored(`audits/${DATE_PATH}/index.json`).processed_ids.includes("R7")
+    );
+
+    const summary = readStored(`audits/${DATE_PATH}/failure_summary.json`);
+    assert.equal(summary.total_dead_letter, 1);
+    assert.deepEqual(
+      summary.dead_letter_records.map((r) => r.row_id),
+      ["R7"]
+    );
+  });
+
+  it("emails the report again once the failed records are settled", () => {
+    assert.equal(transporter.sent.length, 2);
+
+    const mail = transporter.sent[1];
+    assert.equal(mail.to, "auditor@ydn.test");
+    assert.match(mail.subject, /26\/11\/2025 - Obra Norte$/);
+    assert.match(mail.html, /Aprobados:<\/span>\s*<span class="success">2</);
+    assert.match(
+      mail.html,
+      /Con discrepancias:<\/span>\s*<span class="warning">1</
+    );
+    assert.match(
+      mail.html,
+      /revisión manual:<\/span>\s*<span class="warning">1</
+    );
+    assert.match(
+      mail.html,
+      /Sin foto del vale:<\/span>\s*<span class="danger">1</
+    );
+    assert.doesNotMatch(
+      mail.html,
+      /serán reintentados en una próxima ejecución/
+    );
+    assert.match(
+      mail.html,
+      /Fallidos sin más reintentos:<\/span>\s*<span class="danger">1</
+    );
+    assert.ok(mail.attachments[0].content.length > 0);
+  });
+
+  it("re-audits a single record on demand and archives the old result", async () => {
+    const result = await runInContext(() =>
+      reauditForDate(DATE, ["R2"], { resendReport: true })
+    );
+
+    assert.deepEqual(
+      result.reaudited.map((r) => r.status),
+      ["aprobado"]
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R2.json`).status,
+      "aprobado"
+    );
+
+    const historyDir = path.join(storageDir, `audits/${DATE_PATH}/history/R2`);
+    assert.equal(fs.readdirSync(historyDir).length, 1);
+    assert.equal(transporter.sent.length, 3);
+  });
+
+  it("re-audits records another re-audit does not hold and archives only audited ones", async () => {
+    // Another message is re-auditing R1
+    const recordLockPath = path.join(
+      storageDir,
+      `audits/${DATE_PATH}/record_locks/R1.json`
+    );
+    fs.mkdirSync(path.dirname(recordLockPath), { recursive: true });
+    fs.writeFileSync(
+      recordLockPath,
+      JSON.stringify({
+        owner: "other-run",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+    // R4 was never audited
+    fs.rmSync(path.join(storageDir, `audits/${DATE_PATH}/processed/R4.json`));
+    const indexPath = path.join(storageDir, `audits/${DATE_PATH}/index.json`);
+    const index = JSON.parse(fs.readFileSync(indexPath));
+    fs.writeFileSync(
+      indexPath,
+      JSON.stringify({
+        ...index,
+        processed_ids: index.processed_ids.filter((id) => id !== "R4"),
+      })
+    );
+
+    const result = await runInContext(() => reauditForDate(DATE, ["R1", "R4"]));
+    fs.rmSync(recordLockPath);
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(result.in_progress, ["R1"]);
+    assert.deepEqual(result.first_audits, ["R4"]);
+    assert.deepEqual(
+      result.reaudited.map((r) => [r.row_id, r.status]),
+      [["R4", "aprobado"]]
+    );
+    assert.ok(!storedExists(`audits/${DATE_PATH}/history/R4`));
+    assert.ok(!storedExists(`audits/${DATE_PATH}/history/R1`));
+    assert.ok(!storedExists(`audits/${DATE_PATH}/record_locks/R4.json`));
+  });
+
+  it("keeps every write in memory during a dry run", async () => {
+    // A single attempt dead-letters R7 at once, so the day completes
+    process.env.AUDIT_MAX_ATTEMPTS = "1";
+    const dryRun = createDryRun();
+    const result = await runInContext(() => runAuditForDate("11/27/2025"), {
+      dryRun,
+    });
+    process.env.AUDIT_MAX_ATTEMPTS = "2";
+
+    assert.equal(result.status, "complete");
+    assert.ok(!storedExists("audits/2025/11/27"));
+    assert.ok(!storedExists("extractions/2025/11/27"));
+    assert.ok(dryRun.report.writes["audits/2025/11/27/index.json"]);
+    assert.equal(dryRun.report.emails.length, 1);
+    assert.equal(transporter.sent.length, 3);
+  });
+
+  it("skips a date whose run lock is held by another run", async () => {
+    const lockPath = path.join(storageDir, "audits/2025/11/28/run_lock.json");
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({
+        owner: "other-run",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+
+    const requestsBefore = appSheet.requests.length;
+    const result = await runInContext(() => runAuditForDate("11/28/2025"));
+
+    assert.equal(result.status, "locked");
+    assert.equal(appSheet.requests.length, requestsBefore);
+  });
+
+  it("stops a run whose lock was taken over by another run", async () => {
+    const lockPath = path.join(storageDir, "audits/2025/12/01/run_lock.json");
+    process.env.RUN_LOCK_TTL_MS = "3000";
+    process.env.AUDIT_CONCURRENCY = "1";
+
+    const keys = [];
+    const takingOverModel = {
+      async generateContent(request) {
+        const key = Buffer.from(
+          request.contents[0].parts[1].inlineData.data,
+          "base64"
+        ).toString();
+        if (keys.push(key) === 1) {
+          // Another run takes the date over; the next heartbeat notices
+          fs.writeFileSync(
+            lockPath,
+            JSON.stringify({
+              owner: "other-run",
+              expires_at: new Date(Date.now() + 60000).toISOString(),
+            })
+          );
+          await new Promise((resolve) => setTimeout(resolve, 1500));
+        }
+        return model.generateContent(request);
+      },
+    };
+
+    const sentBefore = transporter.sent.length;
+    try {
+      const result = await runInContext(() => runAuditForDate("12/01/2025"), {
+        geminiModel: takingOverModel,
+      });
+
+      assert.equal(result.status, "locked");
+      assert.deepEqual([...new Set(keys)], ["R1"]);
+      assert.equal(
+        readStored("audits/2025/12/01/run_state.json").status,
+        "running"
+      );
+      assert.equal(
+        readStored("audits/2025/12/01/run_lock.json").owner,
+        "other-run"
+      );
+      assert.equal(transporter.sent.length, sentBefore);
+    } finally {
+      delete process.env.RUN_LOCK_TTL_MS;
+      delete process.env.AUDIT_CONCURRENCY;
+    }
+  });
+
+  it("refreshes the extraction and re-audits only new and changed records", async () => {
+    tables.viaje = [
+      ...viaje.map((v) =>
+        v["Row ID"] === "R1" ? { ...v, m3_transportados: "13" } : v
+      ),
+      {
+        ...viaje[0],
+        "Row ID": "R8",
+        numero_vale: "1008",
+        foto_vale: "",
+      },
+    ];
+
+    const callsBefore = model.calls.length;
+    const sentBefore = transporter.sent.length;
+    const result = await runInContext(() =>
+      runAuditForDate(DATE, { refresh: true })
+    );
+
+    assert.equal(result.status, "complete");
+    assert.equal(result.audited, 2);
+
+    assert.deepEqual(
+      [...new Set(model.calls.slice(callsBefore).map((c) => c.key))],
+      ["R1"]
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R1.json`).status,
+      "inconsistencias_encontradas"
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/missing_image/R8.json`).status,
+      "imagen_faltante"
+    );
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/processed/R4.json`).status,
+      "aprobado"
+    );
+    assert.equal(
+      fs.readdirSync(path.join(storageDir, `audits/${DATE_PATH}/history/R1`))
+        .length,
+      1
+    );
+
+    const extraction = readStored(
+      `extractions/${DATE_PATH}/appsheet_data.json`
+    );
+    assert.equal(extraction.version, 2);
+    assert.equal(extraction.record_count, 8);
+    assert.deepEqual(extraction.changes, {
+      added: ["R8"],
+      changed: [{ rowId: "R1", fields: ["m3"] }],
+      removed: [],
+    });
+    assert.equal(
+      readStored(`extractions/${DATE_PATH}/versions/v1.json`).record_count,
+      7
+    );
+
+    const manifest = readStored(`runs/${DATE_PATH}/test-run.json`);
+    assert.equal(manifest.trigger, "refresh");
+    assert.equal(manifest.counts.refresh_changed, 1);
+    assert.equal(manifest.counts.refresh_added, 1);
+    // The report goes out again with the refreshed records
+    assert.equal(transporter.sent.length, sentBefore + 1);
+  });
+
+  it("keeps the cached extraction when a refresh finds no changes", async () => {
+    const sentBefore = transporter.sent.length;
+    try {
+      const result = await runInContext(() =>
+        runAuditForDate(DATE, { refresh: true })
+      );
+      assert.equal(result.audited, 0);
+    } finally {
+      tables.viaje = viaje;
+    }
+
+    assert.equal(
+      readStored(`extractions/${DATE_PATH}/appsheet_data.json`).version,
+      2
+    );
+    assert.ok(!storedExists(`extractions/${DATE_PATH}/versions/v2.json`));
+    assert.equal(transporter.sent.length, sentBefore);
+  });
+
+  it("archives the results of records no longer Finalizado", async () => {
+    // R8 was audited by the refresh above and is gone from AppSheet again
+    const sentBefore = transporter.sent.length;
+    const result = await runInContext(() =>
+      runAuditForDate(DATE, { refresh: true })
+    );
+
+    assert.equal(result.status, "complete");
+    assert.deepEqual(
+      readStored(`extractions/${DATE_PATH}/appsheet_data.json`).changes.removed,
+      ["R8"]
+    );
+    assert.ok(!storedExists(`audits/${DATE_PATH}/missing_image/R8.json`));
+    assert.equal(
+      fs.readdirSync(path.join(storageDir, `audits/${DATE_PATH}/history/R8`))
+        .length,
+      1
+    );
+    assert.ok(
+      !readStored(`audits/${DATE_PATH}/index.json`).processed_ids.includes("R8")
+    );
+    assert.ok(
+      !(await runInContext(() => getAllAuditResults(DATE_PATH))).some(
+        (r) => r.row_id === "R8"
+      )
+    );
+    // The report goes out again without it
+    assert.equal(transporter.sent.length, sentBefore + 1);
+  });
+
+  it("finishes the unfinished earlier dates in the default run", async () => {
+    // An interrupted run left the day partial
+    const statePath = `audits/${DATE_PATH}/run_state.json`;
+    fs.writeFileSync(
+      path.join(storageDir, statePath),
+      JSON.stringify({ ...readStored(statePath), status: "partial" })
+    );
+
+    const results = await runInContext(() =>
+      runAuditForTenants([null], ["11/30/2025"], { resumeUnfinished: true })
+    );
+
+    assert.deepEqual(
+      results.map((r) => [r.date, r.status]),
+      [
+        [DATE, "complete"],
+        ["11/30/2025", "waiting"],
+      ]
+    );
+    assert.equal(readStored(statePath).status, "complete");
+  });
+
+  it("keeps the day partial until AppSheet takes every write-back", async () => {
+    const statePath = "audits/2025/12/02/run_state.json";
+    process.env.APPSHEET_WRITEBACK = "true";
+    process.env.APPSHEET_MAX_RETRIES = "1";
+    process.env.AUDIT_MAX_ATTEMPTS = "1";
+    try {
+      // The extraction goes through, the write-back fails
+      appSheetFailures.viaje = [null, 503];
+      const sentBefore = transporter.sent.length;
+      const first = await runInContext(() => runAuditForDate("12/02/2025"));
+
+      assert.equal(first.status, "partial");
+      assert.equal(first.report_sent, true);
+      assert.equal(readStored(statePath).status, "partial");
+      assert.equal(readStored(statePath).stage, "writeback");
+      assert.equal(transporter.sent.length, sentBefore + 1);
+
+      const second = await runInContext(() => runAuditForDate("12/02/2025"));
+      assert.equal(second.status, "complete");
+      assert.equal(readStored(statePath).status, "complete");
+      assert.equal(
+        Object.keys(readStored("audits/2025/12/02/writeback.json").rows).length,
+        7
+      );
+      assert.equal(transporter.sent.length, sentBefore + 1);
+    } finally {
+      delete appSheetFailures.viaje;
+      delete process.env.APPSHEET_WRITEBACK;
+      delete process.env.APPSHEET_MAX_RETRIES;
+      process.env.AUDIT_MAX_ATTEMPTS = "2";
+    }
+  });
+
+  it("leaves the records being re-audited to the re-audit in a run of the date", async () => {
+    const date = "12/03/2025";
+    process.env.AUDIT_MAX_ATTEMPTS = "1";
+    try {
+      assert.equal(
+        (await runInContext(() => runAuditForDate(date))).status,
+        "complete"
+      );
+
+      // The scheduled run starts while R1 is being re-audited
+      let scheduled;
+      const keys = [];
+      const racingModel = {
+        async generateContent(request) {
+          const key = Buffer.from(
+            request.contents[0].parts[1].inlineData.data,
+            "base64"
+          ).toString();
+          keys.push(key);
+          if (!scheduled) {
+            scheduled = await runInContext(() => runAuditForDate(date), {
+              runId: "scheduled-run",
+            });
+          }
+          return model.generateContent(request);
+        },
+      };
+      const reaudit = await runInContext(() => reauditForDate(date, ["R1"]), {
+        geminiModel: racingModel,
+      });
+
+      assert.equal(reaudit.status, "complete");
+      assert.equal(scheduled.status, "partial");
+      assert.equal(scheduled.remaining, 1);
+      assert.deepEqual([...new Set(keys)], ["R1"]);
+      assert.ok(!storedExists("audits/2025/12/03/record_locks/R1.json"));
+
+      // The re-audit holds R1 no more: the next run completes the day
+      const next = await runInContext(() => runAuditForDate(date));
+      assert.equal(next.status, "complete");
+      assert.equal(next.audited, 0);
+    } finally {
+      process.env.AUDIT_MAX_ATTEMPTS = "2";
+    }
+  });
+
+  it("stops a re-audit when a run of the date holds its lock", async () => {
+    const lockPath = path.join(storageDir, "audits/2025/12/03/run_lock.json");
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({
+        owner: "other-run",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+
+    const result = await runInContext(() =>
+      reauditForDate("12/03/2025", ["R1"])
+    );
+    fs.rmSync(lockPath);
+
+    assert.equal(result.status, "locked");
+    assert.ok(!storedExists("audits/2025/12/03/record_locks/R1.json"));
+  });
+
+  it("resends the report holding the date lock and records it in the run state", async () => {
+    const lockPath = path.join(storageDir, `audits/${DATE_PATH}/run_lock.json`);
+    const statePath = `audits/${DATE_PATH}/run_state.json`;
+    const sentAt = readStored(statePath).report_sent_at;
+    const sentBefore = transporter.sent.length;
+
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({
+        owner: "other-run",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+      })
+    );
+    const locked = await runInContext(() => resendReportForDate(DATE));
+    fs.rmSync(lockPath);
+
+    assert.equal(locked.status, "locked");
+    assert.equal(transporter.sent.length, sentBefore);
+
+    const result = await runInContext(() => resendReportForDate(DATE));
+
+    assert.equal(result.status, "complete");
+    assert.equal(result.report_sent, true);
+    assert.equal(transporter.sent.length, sentBefore + 1);
+    assert.ok(readStored(statePath).report_sent_at > sentAt);
+    assert.ok(!fs.existsSync(lockPath));
+
+    const empty = await runInContext(() =>
+      resendReportForDate(DATE, { obra: "Obra Este" })
+    );
+    assert.equal(empty.status, "empty");
+    assert.equal(transporter.sent.length, sentBefore + 1);
+  });
+});
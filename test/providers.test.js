@@ -0,0 +1,145 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createScriptedModel, extraction } from "./helpers/fakes.js";
+import { runWithContext } from "../context.js";
+import { auditValeImage, PROMPT_VERSION } from "../gemini.js";
+import { EXTRACTION_SCHEMA } from "../responses.js";
+import {
+  createGeminiProvider,
+  createRecordingProvider,
+  createReplayProvider,
+  getExtractionProvider,
+} from "../providers.js";
+
+const IMAGE_PATH = "images/2025/11/26/R1.jpg";
+const record = {
+  rowId: "R1",
+  numeroVale: "1001",
+  placa: "ABC123",
+  m3: "12",
+  fecha: "26/11/2025",
+};
+const fields = {
+  numeroVale: "1001",
+  placa: "ABC123",
+  m3: "12",
+  fecha: "26/11/2025",
+};
+const goodQuality = { qualityScore: 9, isReadable: true, reason: "" };
+
+describe("extraction providers", () => {
+  let tmpDir;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "providers-test-"));
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = path.join(tmpDir, "bucket");
+    process.env.GEMINI_RETRY_BASE_DELAY_MS = "1";
+
+    // The fake images contain their own key, as the scripted model expects
+    const imagePath = path.join(tmpDir, "bucket", IMAGE_PATH);
+    fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+    fs.writeFileSync(imagePath, "R1");
+  });
+
+  after(() => {
+    mock.restoreAll();
+    delete process.env.EXTRACTION_PROVIDER;
+    delete process.env.EXTRACTION_FIXTURES_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("replays recorded answers without calling the model", async () => {
+    const dir = path.join(tmpDir, "recordings");
+    const model = createScriptedModel({
+      R1: { quality: goodQuality, extraction: extraction(fields) },
+    });
+    const request = {
+      prompt: "Extract the fields",
+      promptVersion: PROMPT_VERSION,
+      schema: EXTRACTION_SCHEMA,
+      image: { data: Buffer.from("R1").toString("base64"), mimeType: "x" },
+      imageName: "R1.jpg",
+    };
+
+    const recorded = await runWithContext({ geminiModel: model }, () =>
+      createRecordingProvider(createGeminiProvider(), dir).extractFields(
+        request
+      )
+    );
+    assert.deepEqual(JSON.parse(recorded), extraction(fields));
+
+    assert.equal(
+      model.calls[0].generationConfig.responseMimeType,
+      "application/json"
+    );
+
+    const replay = createReplayProvider(dir);
+    assert.equal(await replay.extractFields(request), recorded);
+    assert.equal(model.calls.length, 1);
+
+    await assert.rejects(
+      replay.extractFields({ ...request, promptVersion: "0" }),
+      /No recorded extraction answer for R1.jpg \(prompt 0\)/
+    );
+    await assert.rejects(
+      replay.checkQuality(request),
+      /No recorded quality answer/
+    );
+  });
+
+  it("audits a vale offline from fixture files", async () => {
+    const fixturesDir = path.join(tmpDir, "fixtures");
+    fs.mkdirSync(fixturesDir);
+    fs.writeFileSync(
+      path.join(fixturesDir, "R1.json"),
+      JSON.stringify({
+        quality: goodQuality,
+        extraction: extraction({ ...fields, m3: "10" }),
+      })
+    );
+    process.env.EXTRACTION_PROVIDER = "mock";
+    process.env.EXTRACTION_FIXTURES_DIR = fixturesDir;
+
+    const result = await runWithContext({}, () =>
+      auditValeImage(record, IMAGE_PATH, ["ABC123"])
+    );
+    assert.equal(result.status, "inconsistencias_encontradas");
+    assert.equal(result.extracciones.m3, "10");
+    assert.equal(result.qualityScore, 9);
+
+    // Built once for every record, until its settings change
+    const provider = getExtractionProvider();
+    assert.equal(getExtractionProvider(), provider);
+    process.env.EXTRACTION_FIXTURES_DIR = tmpDir;
+    assert.notEqual(getExtractionProvider(), provider);
+    process.env.EXTRACTION_FIXTURES_DIR = fixturesDir;
+
+    // A scripted failure is thrown like an API error, after the retries
+    fs.writeFileSync(
+      path.join(fixturesDir, "R1.json"),
+      JSON.stringify({
+        quality: goodQuality,
+        extraction: { error: { status: 503, message: "Unavailable" } },
+      })
+    );
+    await assert.rejects(
+      runWithContext({}, () => auditValeImage(record, IMAGE_PATH, [])),
+      { status: 503, message: "Unavailable" }
+    );
+  });
+
+  it("rejects an unknown provider", async () => {
+    process.env.EXTRACTION_PROVIDER = "openai";
+    await assert.rejects(
+      runWithContext({}, () => auditValeImage(record, IMAGE_PATH, [])),
+      /Unknown EXTRACTION_PROVIDER "openai"/
+    );
+  });
+});
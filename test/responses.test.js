@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseExtractionResponse, parseQualityResponse } from "../responses.js";
+
+test("coerces extraction answers to the schema", () => {
+  const result = parseExtractionResponse(
+    "```json\n" +
+      JSON.stringify({
+        numeroVale: { valor: 24697, confianza: "1" },
+        placa: { valor: " ABC123 ", confianza: 0.8 },
+        m3: { valor: 12.5, confianza: 85 },
+        fecha: { valor: "6-2-25", confianza: 0.9 },
+      }) +
+      "\n```"
+  );
+
+  assert.deepEqual(result, {
+    numeroVale: { valor: "24697", confianza: 1 },
+    placa: { valor: "ABC123", confianza: 0.8 },
+    m3: { valor: "12.5", confianza: 0.85 },
+    fecha: { valor: "06/02/2025", confianza: 0.9 },
+  });
+});
+
+test("rejects extraction answers that do not fit, as retryable", () => {
+  assert.throws(
+    () =>
+      parseExtractionResponse(
+        JSON.stringify({
+          numeroVale: { valor: "1001", confianza: "alta" },
+          m3: { valor: "", confianza: 0 },
+          fecha: { valor: "31/02/2025", confianza: -0.5 },
+        })
+      ),
+    (error) => {
+      assert.equal(error.retryable, true);
+      assert.deepEqual(error.problems, [
+        'numeroVale.confianza is not a number: "alta"',
+        "placa is missing",
+        "fecha.confianza -0.5 is not between 0 and 1 (or a whole percentage up to 100)",
+        'fecha.valor "31/02/2025" is not a DD/MM/YYYY date',
+      ]);
+      assert.match(error.message, /^Invalid extraction response: /);
+      return true;
+    }
+  );
+
+  // Only whole numbers are read as percentages
+  assert.throws(
+    () =>
+      parseExtractionResponse(
+        JSON.stringify({
+          numeroVale: { valor: "1001", confianza: 0.9 },
+          placa: { valor: "ABC123", confianza: 1.5 },
+          m3: { valor: "12", confianza: 101 },
+          fecha: { valor: "26/11/2025", confianza: 0.9 },
+        })
+      ),
+    (error) => {
+      assert.deepEqual(error.problems, [
+        "placa.confianza 1.5 is not between 0 and 1 (or a whole percentage up to 100)",
+        "m3.confianza 101 is not between 0 and 1 (or a whole percentage up to 100)",
+      ]);
+      return true;
+    }
+  );
+
+  assert.throws(() => parseExtractionResponse("Lo siento, no puedo"), {
+    retryable: true,
+    message: /Invalid extraction response: not JSON/,
+  });
+});
+
+test("validates quality answers", () => {
+  assert.deepEqual(
+    parseQualityResponse('{"qualityScore": "8", "isReadable": "true"}'),
+    { qualityScore: 8, isReadable: true, reason: "" }
+  );
+  assert.throws(
+    () => parseQualityResponse('{"qualityScore": 80, "isReadable": true}'),
+    /qualityScore 80 is not between 0 and 10/
+  );
+});
@@ -0,0 +1,272 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  submitReview,
+  createReviewToken,
+  verifyReviewToken,
+  createReviewLink,
+} from "../review.js";
+import { getReviewQueue, renderReviewPage } from "../reviewpage.js";
+import { getAllAuditResults } from "../audit.js";
+
+const DATE = "11/26/2025";
+const DATE_PATH = "2025/11/26";
+
+describe("manual review decisions", () => {
+  let storageDir;
+
+  function store(filePath, data) {
+    const fullPath = path.join(storageDir, filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, JSON.stringify(data));
+  }
+
+  function readStored(filePath) {
+    return JSON.parse(fs.readFileSync(path.join(storageDir, filePath)));
+  }
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "review-test-"));
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+
+    store(`extractions/${DATE_PATH}/appsheet_data.json`, {
+      record_count: 0,
+      records: [],
+      usuarios: [
+        {
+          id: "U1",
+          correo: "Auditor@ydn.test",
+          rol: "Auditor",
+          relatedObras: ["Obra Norte"],
+          estado_usuario: "Activo",
+        },
+        {
+          id: "U2",
+          correo: "otra@ydn.test",
+          rol: "Admin",
+          relatedObras: ["Obra Sur"],
+          estado_usuario: "Activo",
+        },
+        {
+          id: "U3",
+          correo: "conductor@ydn.test",
+          rol: "Conductor",
+          relatedObras: ["Obra Norte"],
+          estado_usuario: "Activo",
+        },
+      ],
+    });
+    store(`audits/${DATE_PATH}/processed/R1.json`, {
+      row_id: "R1",
+      obra: "Obra Norte",
+      status: "aprobado",
+      aprobado: true,
+    });
+    store(`audits/${DATE_PATH}/manual_review/R3.json`, {
+      row_id: "R3",
+      obra: "Obra Norte",
+      status: "requiere_revision_manual",
+      aprobado: false,
+    });
+    store(`audits/${DATE_PATH}/processed/R4.json`, {
+      row_id: "R4",
+      obra: "Obra Norte",
+      status: "inconsistencias_encontradas",
+      aprobado: false,
+      image_path: `images/${DATE_PATH}/R4.jpg`,
+      appsheet_values: { numeroVale: "100", placa: "ABC123", m3: "8" },
+      extracciones: { numeroVale: "</script>", placa: "ABC123", m3: "9" },
+      confianzas: { numeroVale: 0.4, m3: 0.9 },
+      comparaciones: { m3: { coincide: false, observacion: "8 vs 9" } },
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it("validates the decision and corrections", async () => {
+    const base = { rowId: "R3", reviewer: "auditor@ydn.test" };
+
+    await assert.rejects(submitReview(DATE, { ...base, decision: "ok" }), {
+      statusCode: 400,
+    });
+    await assert.rejects(
+      submitReview(DATE, { ...base, decision: "corregido" }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      submitReview(DATE, {
+        ...base,
+        decision: "corregido",
+        corrections: { conductor: "X" },
+      }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("only accepts records that need review", async () => {
+    const base = { reviewer: "auditor@ydn.test", decision: "aprobado" };
+
+    await assert.rejects(submitReview(DATE, { ...base, rowId: "R9" }), {
+      statusCode: 404,
+    });
+    await assert.rejects(submitReview(DATE, { ...base, rowId: "R1" }), {
+      statusCode: 409,
+    });
+  });
+
+  it("only accepts active reviewers of the record's obra", async () => {
+    for (const reviewer of [
+      "conductor@ydn.test",
+      "otra@ydn.test",
+      "nadie@ydn.test",
+    ]) {
+      await assert.rejects(
+        submitReview(DATE, { rowId: "R3", reviewer, decision: "aprobado" }),
+        { statusCode: 403 }
+      );
+    }
+
+    // A review link only reaches the records of its obra
+    await assert.rejects(
+      submitReview(DATE, {
+        rowId: "R3",
+        reviewer: "auditor@ydn.test",
+        decision: "aprobado",
+        obra: "Obra Sur",
+      }),
+      { statusCode: 403 }
+    );
+  });
+
+  it("stores the decision and merges it into the reports", async () => {
+    await submitReview(DATE, {
+      rowId: "R3",
+      reviewer: "auditor@ydn.test",
+      decision: "rechazado",
+      comment: "Vale ilegible",
+    });
+    const review = await submitReview(DATE, {
+      rowId: "R3",
+      reviewer: "auditor@ydn.test",
+      decision: "corregido",
+      corrections: { m3: 10 },
+      comment: "El vale dice 10 m3",
+    });
+
+    assert.deepEqual(review.correcciones, { m3: "10" });
+    assert.equal(review.revisor.rol, "Auditor");
+
+    const stored = readStored(`audits/${DATE_PATH}/reviews/R3.json`);
+    assert.equal(stored.status, "corregido");
+    assert.deepEqual(
+      stored.history.map((r) => r.decision),
+      ["rechazado"]
+    );
+
+    // The audit result itself is left untouched
+    assert.equal(
+      readStored(`audits/${DATE_PATH}/manual_review/R3.json`).status,
+      "requiere_revision_manual"
+    );
+
+    const results = await getAllAuditResults(DATE_PATH);
+    const r3 = results.find((r) => r.row_id === "R3");
+    assert.equal(r3.status, "corregido");
+    assert.equal(r3.aprobado, true);
+    assert.equal(r3.status_original, "requiere_revision_manual");
+    assert.equal(r3.revision.comentario, "El vale dice 10 m3");
+    assert.equal(results.find((r) => r.row_id === "R1").revision, undefined);
+  });
+
+  it("lists the vales still pending review for the obra", async () => {
+    const queue = await getReviewQueue(DATE, "Obra Norte");
+
+    // R3 was reviewed above, R1 was approved by the audit
+    assert.deepEqual(
+      queue.map((r) => r.rowId),
+      ["R4"]
+    );
+    const m3 = queue[0].fields.find((f) => f.key === "m3");
+    assert.deepEqual(
+      [m3.appsheet, m3.extracted, m3.confidence, m3.matches],
+      ["8", "9", 0.9, false]
+    );
+    assert.deepEqual(await getReviewQueue(DATE, "Obra Sur"), []);
+
+    const html = renderReviewPage({
+      date: DATE,
+      obra: "Obra Norte",
+      reviewer: "auditor@ydn.test",
+      token: "t",
+      records: queue,
+    });
+    assert.ok(!html.includes('"</script>"'));
+    assert.ok(html.includes("\\u003c/script>"));
+  });
+});
+
+describe("review links", () => {
+  before(() => {
+    process.env.REVIEW_LINK_SECRET = "test-secret";
+  });
+
+  after(() => {
+    mock.timers.reset();
+    delete process.env.REVIEW_LINK_SECRET;
+    delete process.env.REVIEW_PAGE_URL;
+  });
+
+  it("verifies signed tokens", () => {
+    const token = createReviewToken({
+      email: "auditor@ydn.test",
+      date: DATE,
+      obra: "Obra Norte",
+    });
+
+    assert.deepEqual(
+      { ...verifyReviewToken(token), exp: undefined },
+      {
+        email: "auditor@ydn.test",
+        date: DATE,
+        obra: "Obra Norte",
+        exp: undefined,
+      }
+    );
+
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ email: "otro@ydn.test", date: DATE, exp: Infinity })
+    ).toString("base64url");
+    assert.equal(verifyReviewToken(`${forged}.${signature}`), null);
+    assert.equal(verifyReviewToken(payload), null);
+    assert.equal(verifyReviewToken(undefined), null);
+  });
+
+  it("rejects expired tokens", () => {
+    mock.timers.enable({ apis: ["Date"], now: 0 });
+    const token = createReviewToken({ email: "a@ydn.test", date: DATE });
+
+    mock.timers.setTime(7 * 24 * 60 * 60 * 1000 + 1);
+    assert.equal(verifyReviewToken(token), null);
+    mock.timers.reset();
+  });
+
+  it("only builds links when the page is configured", () => {
+    assert.equal(createReviewLink("a@ydn.test", DATE, "Obra Norte"), null);
+
+    process.env.REVIEW_PAGE_URL = "https://example.test/review_queue";
+    const link = new URL(createReviewLink("a@ydn.test", DATE, "Obra Norte"));
+    assert.equal(
+      verifyReviewToken(link.searchParams.get("token")).obra,
+      "Obra Norte"
+    );
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStorage, createDryRunStorage } from "../storage.js";
+import { addToProcessedIndex, removeFromProcessedIndex } from "../bucket.js";
+import { acquireRunLock } from "../lock.js";
+import { runWithContext } from "../context.js";
+
+describe("storage backends", () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+    storage = createLocalStorage(rootDir);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("local storage enforces generation preconditions", async () => {
+    const first = await storage.writeJSONIfGenerationMatch(
+      "a/b.json",
+      { n: 1 },
+      0
+    );
+    assert.ok(first);
+    assert.equal(
+      await storage.writeJSONIfGenerationMatch("a/b.json", { n: 2 }, 0),
+      null
+    );
+
+    const second = await storage.writeJSONIfGenerationMatch(
+      "a/b.json",
+      { n: 2 },
+      first
+    );
+    assert.ok(second);
+    assert.equal(
+      await storage.writeJSONIfGenerationMatch("a/b.json", { n: 3 }, first),
+      null
+    );
+
+    assert.deepEqual(await storage.readJSONWithGeneration("a/b.json"), {
+      data: { n: 2 },
+      generation: second,
+    });
+    await assert.rejects(
+      storage.delete("a/b.json", { ifGenerationMatch: first }),
+      { code: 412 }
+    );
+    await storage.delete("a/b.json", { ifGenerationMatch: second });
+    assert.equal(await storage.readJSONWithGeneration("a/b.json"), null);
+  });
+
+  it("local storage refuses paths outside its root", async () => {
+    await assert.rejects(storage.writeJSON("../escape.json", {}), /escapes/);
+  });
+
+  it("dry-run overlay never touches the base storage", async () => {
+    await storage.writeJSON("audits/keep.json", { kept: true });
+    await storage.writeJSON("audits/gone.json", { gone: false });
+
+    const report = { writes: {}, uploads: [], deletes: [], emails: [] };
+    const overlay = createDryRunStorage(storage, report);
+
+    await overlay.writeJSON("audits/new.json", { added: true });
+    await overlay.delete("audits/gone.json");
+
+    assert.deepEqual(await overlay.list("audits/"), [
+      "audits/keep.json",
+      "audits/new.json",
+    ]);
+    assert.equal(await overlay.exists("audits/gone.json"), false);
+    assert.deepEqual(await overlay.readJSON("audits/new.json"), {
+      added: true,
+    });
+
+    assert.deepEqual(await storage.list("audits/"), [
+      "audits/gone.json",
+      "audits/keep.json",
+    ]);
+    assert.deepEqual(report.writes, { "audits/new.json": { added: true } });
+    assert.deepEqual(report.deletes, ["audits/gone.json"]);
+  });
+
+  it("dry-run overlay deletes only at the expected generation", async () => {
+    const report = { writes: {}, uploads: [], deletes: [], emails: [] };
+    const overlay = createDryRunStorage(storage, report);
+    const generation = await overlay.writeJSONIfGenerationMatch(
+      "audits/run_lock.json",
+      { owner: "a" },
+      0
+    );
+    await overlay.writeJSON("audits/run_lock.json", { owner: "b" });
+
+    await assert.rejects(
+      overlay.delete("audits/run_lock.json", { ifGenerationMatch: generation }),
+      { code: 412 }
+    );
+    await overlay.delete("audits/run_lock.json");
+    await assert.rejects(overlay.delete("audits/run_lock.json"), {
+      code: 404,
+    });
+    assert.deepEqual(await overlay.list("audits/run"), []);
+  });
+
+  it("concurrent index updates from two runs keep every ID", async () => {
+    // Two separate backends over one directory behave like two instances
+    const other = createLocalStorage(rootDir);
+    const ids = ["R1", "R2", "R3", "R4", "R5", "R6"];
+
+    await Promise.all(
+      ids.map((id, i) =>
+        addToProcessedIndex(i % 2 ? other : storage, "2025/11/26", id)
+      )
+    );
+    await removeFromProcessedIndex(storage, "2025/11/26", ["R3"]);
+
+    const index = await storage.readJSON("audits/2025/11/26/index.json");
+    assert.deepEqual([...index.processed_ids].sort(), [
+      "R1",
+      "R2",
+      "R4",
+      "R5",
+      "R6",
+    ]);
+    assert.equal(index.count, 5);
+  });
+
+  it("run lock admits one run at a time and takes over expired leases", async () => {
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = rootDir;
+    const lockPath = "audits/2025/11/26/run_lock.json";
+
+    const lease = await runWithContext({ runId: "run-a" }, () =>
+      acquireRunLock("2025/11/26")
+    );
+    assert.ok(lease);
+    assert.equal((await storage.readJSON(lockPath)).owner, "run-a");
+
+    const blocked = await runWithContext({ runId: "run-b" }, () =>
+      acquireRunLock("2025/11/26")
+    );
+    assert.equal(blocked, null);
+
+    await lease.release();
+    assert.equal(await storage.exists(lockPath), false);
+
+    await storage.writeJSON(lockPath, {
+      owner: "crashed-run",
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+    });
+    const takeover = await runWithContext({ runId: "run-b" }, () =>
+      acquireRunLock("2025/11/26")
+    );
+    assert.ok(takeover);
+    assert.equal((await storage.readJSON(lockPath)).owner, "run-b");
+    await takeover.release();
+  });
+});
@@ -0,0 +1,279 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  startFakeAppSheet,
+  createFakeDrive,
+  createScriptedModel,
+  createCapturedTransport,
+  extraction,
+} from "./helpers/fakes.js";
+import { runWithContext } from "../context.js";
+import { runAuditForTenants } from "../pipeline.js";
+import { getBucket, writeJSON } from "../bucket.js";
+import {
+  validateTenants,
+  resolveTenants,
+  resolveTenant,
+  withTenant,
+  getSetting,
+} from "../tenants.js";
+
+const DATE = "11/26/2025";
+const DATE_PATH = "2025/11/26";
+
+/**
+ * AppSheet tables of a company with one finalized viaje (same Row ID in
+ * every company) and one auditor of its obra
+ */
+function companyTables({ vale, photo, auditor }) {
+  return {
+    viaje: [
+      {
+        "Row ID": "R1",
+        numero_vale: vale,
+        foto_vale: `viaje_Images/${photo}`,
+        m3_transportados: "12",
+        fecha_vale: `${DATE} 08:00:00`,
+        id_vehiculo: "V1",
+        id_obra: "O1",
+      },
+    ],
+    vehiculo: [{ "Row ID": "V1", placa: "ABC123" }],
+    obra: [{ "Row ID": "O1", nombre: "Obra Norte" }],
+    usuario: [
+      {
+        "Row ID": "U1",
+        correo_electronico: auditor,
+        rol: "Auditor",
+        estado_usuario: "Activo",
+        "Related usuario_obras": "UO1",
+      },
+    ],
+    usuario_obra: [{ "Row ID": "UO1", id_obra: "O1" }],
+  };
+}
+
+const fields = (numeroVale) => ({
+  numeroVale,
+  placa: "ABC123",
+  m3: "12",
+  fecha: "26/11/2025",
+});
+const goodQuality = { qualityScore: 9, isReadable: true, reason: "" };
+
+// App, Drive folder and mailbox every tenant must name
+const companySettings = (company) => ({
+  APP_ID: `${company}-app`,
+  DRIVE_FOLDER_ID: `${company}-folder`,
+  EMAIL_FROM: `auditoria@${company}.test`,
+  SMTP_USER: `auditoria@${company}.test`,
+  SMTP_PASS: "secret",
+});
+
+describe("tenants", () => {
+  let tmpDir;
+  let storageDir;
+  let ydnAppSheet;
+  let otraAppSheet;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tenants-test-"));
+    storageDir = path.join(tmpDir, "bucket");
+    ydnAppSheet = await startFakeAppSheet(
+      companyTables({ vale: "1001", photo: "Y1.jpg", auditor: "a@ydn.test" }),
+      { appKey: "ydn-key" }
+    );
+    otraAppSheet = await startFakeAppSheet(
+      companyTables({ vale: "2001", photo: "O1.jpg", auditor: "a@otra.test" }),
+      { appKey: "otra-key" }
+    );
+
+    const tenantsPath = path.join(tmpDir, "tenants.json");
+    fs.writeFileSync(
+      tenantsPath,
+      JSON.stringify({
+        ydn: {
+          settings: {
+            ...companySettings("ydn"),
+            APPSHEET_BASE_URL: ydnAppSheet.baseUrl,
+            APP_KEY: { env: "TEST_YDN_APP_KEY" },
+            EMAIL_NAME: "Auditoría YDN",
+          },
+        },
+        "otra-empresa": {
+          storagePrefix: "otra",
+          settings: {
+            ...companySettings("otra"),
+            APPSHEET_BASE_URL: otraAppSheet.baseUrl,
+            APP_KEY: "otra-key",
+            EMAIL_NAME: "Auditoría Otra",
+          },
+        },
+      })
+    );
+
+    process.env.TENANTS_PATH = tenantsPath;
+    process.env.TEST_YDN_APP_KEY = "ydn-key";
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    // Another company's app and mailbox, which no tenant may fall back to
+    process.env.APP_ID = "test-app";
+    process.env.EMAIL_FROM = "auditoria@test";
+    delete process.env.EMAIL_TEST_MODE;
+    delete process.env.APPSHEET_WRITEBACK;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    delete process.env.TENANTS_PATH;
+    delete process.env.TEST_YDN_APP_KEY;
+    await ydnAppSheet.close();
+    await otraAppSheet.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("keeps the data and emails of each tenant apart", async () => {
+    const transporter = createCapturedTransport();
+    const results = await runWithContext(
+      {
+        runId: "test-run",
+        drive: createFakeDrive({ "Y1.jpg": "Y1", "O1.jpg": "O1" }),
+        geminiModel: createScriptedModel({
+          Y1: { quality: goodQuality, extraction: extraction(fields("1001")) },
+          O1: { quality: goodQuality, extraction: extraction(fields("2001")) },
+        }),
+        transporter,
+      },
+      () => runAuditForTenants(resolveTenants(), [DATE])
+    );
+
+    assert.deepEqual(
+      results.map((r) => [r.tenant, r.status, r.audited]),
+      [
+        ["ydn", "complete", 1],
+        ["otra-empresa", "complete", 1],
+      ]
+    );
+
+    const read = (filePath) =>
+      JSON.parse(fs.readFileSync(path.join(storageDir, filePath)));
+    assert.equal(
+      read(`ydn/audits/${DATE_PATH}/processed/R1.json`).extracciones.numeroVale,
+      "1001"
+    );
+    assert.equal(
+      read(`otra/audits/${DATE_PATH}/processed/R1.json`).extracciones
+        .numeroVale,
+      "2001"
+    );
+    assert.ok(fs.existsSync(path.join(storageDir, `otra/images/${DATE_PATH}`)));
+    assert.ok(!fs.existsSync(path.join(storageDir, "extractions")));
+    assert.ok(!fs.existsSync(path.join(storageDir, "audits")));
+
+    assert.deepEqual(
+      transporter.sent.map((mail) => [mail.to, mail.from]),
+      [
+        ["a@ydn.test", '"Auditoría YDN" <auditoria@ydn.test>'],
+        ["a@otra.test", '"Auditoría Otra" <auditoria@otra.test>'],
+      ]
+    );
+  });
+
+  it("resolves the tenants a job or an operation is for", () => {
+    assert.deepEqual(
+      resolveTenants("all").map((t) => t.id),
+      ["ydn", "otra-empresa"]
+    );
+    assert.equal(resolveTenant("otra-empresa").storagePrefix, "otra");
+    assert.throws(() => resolveTenant(), /Missing "tenant"/);
+    assert.throws(() => resolveTenants("nadie"), /Unknown tenant "nadie"/);
+
+    const ydn = resolveTenant("ydn");
+    assert.equal(
+      withTenant(ydn, () => getSetting("APP_KEY")),
+      "ydn-key"
+    );
+    assert.equal(
+      withTenant(ydn, () => getSetting("APP_ID")),
+      "ydn-app"
+    );
+  });
+
+  it("never falls back to the environment for the app, Drive or mailbox of a tenant", () => {
+    const [tenant] = validateTenants({
+      ydn: {
+        settings: {
+          ...companySettings("ydn"),
+          APP_KEY: "ydn-key",
+          SMTP_PASS: { env: "TEST_YDN_APP_KEY" },
+        },
+      },
+    });
+
+    process.env.SMTP_HOST = "smtp.other.test";
+    process.env.DRIVE_KEYFILE_PATH = "./other-service-account.json";
+    try {
+      withTenant(tenant, () => {
+        assert.equal(getSetting("APP_ID"), "ydn-app");
+        assert.equal(getSetting("SMTP_PASS"), "ydn-key");
+        assert.equal(getSetting("SMTP_HOST"), undefined);
+        assert.equal(getSetting("DRIVE_KEYFILE_PATH"), undefined);
+        assert.equal(getSetting("EMAIL_NAME"), undefined);
+        // Other settings still come from the environment
+        assert.equal(getSetting("STORAGE_BACKEND"), "local");
+      });
+    } finally {
+      delete process.env.SMTP_HOST;
+      delete process.env.DRIVE_KEYFILE_PATH;
+    }
+  });
+
+  it("reports every problem of a tenants file", () => {
+    const tenantSettings = { ...companySettings("x"), APP_KEY: "k" };
+    assert.throws(
+      () =>
+        validateTenants({
+          "../x": { settings: tenantSettings },
+          a: { storagePrefix: "shared", settings: tenantSettings },
+          b: {
+            storagePrefix: "shared",
+            settings: { ...tenantSettings, APP_KEY: ["k"] },
+          },
+          c: { storagePrefix: "audits", settings: tenantSettings },
+          d: { storagePrefix: "", settings: tenantSettings },
+          e: { storagePrefix: "", settings: tenantSettings },
+          f: { settings: { APP_ID: "f-app", DRIVE_FOLDER_ID: "f-folder" } },
+        }),
+      (error) => {
+        assert.deepEqual(error.errors, [
+          '"../x" is not a valid tenant id (letters, digits, - and _)',
+          "../x.storagePrefix must be a single path segment",
+          'b.storagePrefix "shared" is used by a',
+          "b.settings.APP_KEY must be a string, number, boolean or { env }",
+          'c.storagePrefix "audits" is a folder of the bucket root',
+          'e.storagePrefix "" is used by d',
+          "f.settings is missing APP_KEY, EMAIL_FROM, SMTP_USER, SMTP_PASS",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("keeps the data of a tenant with an empty prefix at the bucket root", async () => {
+    const [root] = validateTenants({
+      ydn: {
+        storagePrefix: "",
+        settings: { ...companySettings("ydn"), APP_KEY: "ydn-key" },
+      },
+    });
+    await withTenant(root, () =>
+      writeJSON(getBucket(), "runs/root-test.json", { ok: true })
+    );
+    assert.ok(fs.existsSync(path.join(storageDir, "runs/root-test.json")));
+  });
+});
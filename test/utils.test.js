@@ -0,0 +1,156 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  getDatePath,
+  formatAppsheetDate,
+  normalizeDateString,
+  getDateRange,
+  resolveAuditDates,
+  mapWithConcurrency,
+  getYesterdayDateString,
+  getBusinessDateString,
+  addDaysToDateString,
+} from "../utils.js";
+
+test("builds bucket date paths and AppSheet display dates", () => {
+  assert.equal(getDatePath("11/26/2025"), "2025/11/26");
+  assert.equal(formatAppsheetDate("11/26/2025 08:15:00"), "26/11/2025");
+  assert.equal(formatAppsheetDate(""), null);
+});
+
+test("normalizes ISO and AppSheet dates", () => {
+  assert.equal(normalizeDateString("2025-11-26"), "11/26/2025");
+  assert.equal(normalizeDateString(" 11/26/2025 "), "11/26/2025");
+  assert.throws(() => normalizeDateString("2025-02-30"), /Invalid date/);
+  assert.throws(() => normalizeDateString("26/11/2025"), /Invalid date/);
+});
+
+test("expands inclusive date ranges across month ends", () => {
+  assert.deepEqual(getDateRange("2025-11-29", "12/02/2025"), [
+    "11/29/2025",
+    "11/30/2025",
+    "12/01/2025",
+    "12/02/2025",
+  ]);
+  assert.throws(() => getDateRange("2025-12-02", "2025-11-29"), /after/);
+  assert.throws(() => getDateRange("2025-01-01", "2025-03-01"), /too long/);
+});
+
+test("resolves the dates of a request", () => {
+  assert.deepEqual(resolveAuditDates({ date: "2025-11-26" }), ["11/26/2025"]);
+  assert.deepEqual(resolveAuditDates({ from: "2025-11-26" }), ["11/26/2025"]);
+  assert.equal(resolveAuditDates().length, 1);
+  assert.throws(
+    () => resolveAuditDates({ date: "2025-11-26", to: "2025-11-27" }),
+    /not both/
+  );
+});
+
+/**
+ * Run fn with BUSINESS_TIMEZONE (and optionally the host TZ) set
+ */
+function withTimeZones({ business, host }, fn) {
+  const saved = {
+    business: process.env.BUSINESS_TIMEZONE,
+    host: process.env.TZ,
+  };
+  process.env.BUSINESS_TIMEZONE = business;
+  if (host) process.env.TZ = host;
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of [
+      ["BUSINESS_TIMEZONE", saved.business],
+      ["TZ", saved.host],
+    ]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test("computes yesterday in the business timezone, not the host's", () => {
+  withTimeZones({ business: "America/Bogota", host: "UTC" }, () => {
+    // 23:30 in Bogotá (UTC-5) is already the next day in UTC
+    assert.equal(
+      getYesterdayDateString(new Date("2025-11-27T04:30:00Z")),
+      "11/25/2025"
+    );
+    assert.equal(
+      getYesterdayDateString(new Date("2025-11-27T05:30:00Z")),
+      "11/26/2025"
+    );
+    assert.equal(
+      getYesterdayDateString(new Date("2026-01-01T04:59:59Z")),
+      "12/30/2025"
+    );
+  });
+});
+
+test("handles day boundaries on DST change days", () => {
+  withTimeZones({ business: "America/New_York", host: "Europe/Madrid" }, () => {
+    // Spring forward (Mar 9, 2025): EDT is UTC-4 from 02:00
+    assert.equal(
+      getYesterdayDateString(new Date("2025-03-10T03:30:00Z")),
+      "03/08/2025"
+    );
+    assert.equal(
+      getYesterdayDateString(new Date("2025-03-10T04:30:00Z")),
+      "03/09/2025"
+    );
+    // Fall back (Nov 2, 2025): 00:30 EDT, then EST (UTC-5) from 02:00
+    assert.equal(
+      getYesterdayDateString(new Date("2025-11-02T04:30:00Z")),
+      "11/01/2025"
+    );
+    assert.equal(
+      getBusinessDateString(
+        "MM/dd/yyyy HH:mm",
+        new Date("2025-11-03T04:30:00Z")
+      ),
+      "11/02/2025 23:30"
+    );
+  });
+
+  withTimeZones(
+    { business: "America/Bogota", host: "America/New_York" },
+    () => {
+      assert.equal(addDaysToDateString("03/08/2025", 1), "03/09/2025");
+      assert.equal(addDaysToDateString("03/09/2025", 1), "03/10/2025");
+      assert.equal(addDaysToDateString("11/02/2025", -1), "11/01/2025");
+      assert.equal(addDaysToDateString("12/31/2025", 1), "01/01/2026");
+    }
+  );
+});
+
+test("mapWithConcurrency keeps order and respects the limit", async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    inFlight--;
+    return ms * 2;
+  });
+
+  assert.deepEqual(results, [60, 20, 40, 10]);
+  assert.equal(maxInFlight, 2);
+});
+
+test("mapWithConcurrency starts nothing new once told to stop", async () => {
+  let started = 0;
+
+  const results = await mapWithConcurrency(
+    [1, 2, 3, 4],
+    1,
+    async (n) => {
+      started++;
+      return n;
+    },
+    { shouldStop: () => started >= 2 }
+  );
+
+  assert.deepEqual([...results], [1, 2, undefined, undefined]);
+});
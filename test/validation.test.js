@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateExtraction } from "../validation.js";
+import { extraction } from "./helpers/fakes.js";
+
+const expected = {
+  numeroVale: "1001",
+  placa: "ABC123",
+  m3: 12,
+  fecha: "26/11/2025",
+};
+
+test("approves a vale whose fields all match", () => {
+  const result = validateExtraction(
+    extraction({
+      numeroVale: "1001",
+      placa: "abc123 ",
+      m3: "12.0",
+      fecha: "26/11/2025",
+    }),
+    expected
+  );
+
+  assert.equal(result.status, "aprobado");
+  assert.equal(result.aprobado, true);
+});
+
+test("accepts a date within two days of the expected one", () => {
+  const result = validateExtraction(
+    extraction({ ...expected, m3: "12", fecha: "24/11/2025" }),
+    expected
+  );
+
+  assert.equal(result.status, "aprobado");
+  assert.match(result.comparaciones.fecha.observacion, /2 día/);
+});
+
+test("flags mismatches read with high confidence", () => {
+  const result = validateExtraction(
+    extraction({ ...expected, m3: "10", fecha: "20/11/2025" }),
+    expected
+  );
+
+  assert.equal(result.status, "inconsistencias_encontradas");
+  assert.equal(result.comparaciones.m3.coincide, false);
+  assert.equal(result.comparaciones.fecha.coincide, false);
+  assert.equal(result.comparaciones.numeroVale.coincide, true);
+});
+
+test("sends low-confidence readings to manual review", () => {
+  const result = validateExtraction(
+    extraction({ ...expected, m3: "12" }, 0.5),
+    expected
+  );
+
+  assert.equal(result.status, "requiere_revision_manual");
+  assert.match(result.manualReviewReason, /Confianza baja/);
+});
+
+test("sends empty fields to manual review", () => {
+  const result = validateExtraction(
+    extraction({ ...expected, m3: "12", placa: null }),
+    expected
+  );
+
+  assert.equal(result.status, "requiere_revision_manual");
+  assert.equal(
+    result.manualReviewReason,
+    "Uno o más campos no pudieron ser extraídos"
+  );
+});
+
+test("counts the date tolerance in calendar days across DST changes", () => {
+  const hostTimeZone = process.env.TZ;
+  process.env.TZ = "America/New_York";
+  try {
+    // Nov 1 → Nov 3, 2025 spans the fall back, 49 hours on this host
+    const result = validateExtraction(
+      extraction({ ...expected, m3: "12", fecha: "01/11/2025" }),
+      { ...expected, fecha: "03/11/2025" }
+    );
+    assert.equal(result.comparaciones.fecha.coincide, true);
+    assert.match(result.comparaciones.fecha.observacion, /2 día/);
+  } finally {
+    if (hostTimeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = hostTimeZone;
+  }
+});
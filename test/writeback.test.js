@@ -0,0 +1,170 @@
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startFakeAppSheet } from "./helpers/fakes.js";
+import { writeBackResults } from "../writeback.js";
+import { runWithContext } from "../context.js";
+import { createDryRun } from "../dryrun.js";
+
+const DATE_PATH = "2025/11/26";
+
+const results = [
+  {
+    row_id: "R1",
+    status: "aprobado",
+    image_path: `images/${DATE_PATH}/R1.jpg`,
+    comparaciones: {},
+  },
+  {
+    row_id: "R2",
+    status: "inconsistencias_encontradas",
+    image_path: `images/${DATE_PATH}/R2.jpg`,
+    comparaciones: {
+      m3: { coincide: false, observacion: "Vale dice 10, AppSheet 12" },
+    },
+  },
+  {
+    row_id: "R3",
+    status: "imagen_faltante",
+    motivo: "El viaje no tiene foto del vale",
+  },
+];
+
+describe("AppSheet write-back", () => {
+  let storageDir;
+  let appSheet;
+
+  function editRequests() {
+    return appSheet.requests.filter((r) => r.payload.Action === "Edit");
+  }
+
+  before(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "writeback-test-"));
+    process.env.STORAGE_BACKEND = "local";
+    process.env.LOCAL_STORAGE_DIR = storageDir;
+    process.env.APP_ID = "test-app";
+    process.env.APP_KEY = "test-key";
+    process.env.APPSHEET_RETRY_BASE_DELAY_MS = "1";
+    process.env.APPSHEET_MAX_RETRIES = "2";
+    process.env.APPSHEET_WRITEBACK_BATCH_SIZE = "2";
+  });
+
+  beforeEach(async () => {
+    mock.method(console, "log", () => {});
+    process.env.APPSHEET_WRITEBACK = "true";
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await appSheet?.close();
+    appSheet = null;
+    fs.rmSync(path.join(storageDir, "audits"), {
+      recursive: true,
+      force: true,
+    });
+  });
+
+  after(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  async function useAppSheet(options) {
+    appSheet = await startFakeAppSheet({}, options);
+    process.env.APPSHEET_BASE_URL = appSheet.baseUrl;
+  }
+
+  it("edits the viaje rows in batches and skips unchanged outcomes", async () => {
+    await useAppSheet();
+
+    const summary = await writeBackResults(DATE_PATH, results);
+
+    assert.deepEqual(summary, { written: 3, pending: 0, unchanged: 0 });
+    assert.deepEqual(
+      editRequests().map((r) => [r.table, r.payload.Rows.length]),
+      [
+        ["viaje", 2],
+        ["viaje", 1],
+      ]
+    );
+
+    const [r1, r2] = editRequests()[0].payload.Rows;
+    assert.equal(r1["Row ID"], "R1");
+    assert.equal(r1.estado_auditoria, "aprobado");
+    assert.match(r1.evidencia_auditoria, /images\/2025\/11\/26\/R1\.jpg$/);
+    assert.equal(r2.motivo_auditoria, "M3: Vale dice 10, AppSheet 12");
+    assert.equal(
+      editRequests()[1].payload.Rows[0].motivo_auditoria,
+      "El viaje no tiene foto del vale"
+    );
+
+    // Only the reviewed record goes out again
+    const reviewed = {
+      ...results[1],
+      status: "corregido",
+      revision: {
+        revisor: { correo: "auditor@ydn.test" },
+        comentario: "M3 corregido",
+      },
+    };
+    const again = await writeBackResults(DATE_PATH, [
+      results[0],
+      reviewed,
+      results[2],
+    ]);
+
+    assert.deepEqual(again, { written: 1, pending: 0, unchanged: 2 });
+    const last = editRequests().at(-1).payload.Rows;
+    assert.deepEqual(
+      last.map((row) => [row.estado_auditoria, row.motivo_auditoria]),
+      [["corregido", "Revisado por auditor@ydn.test: M3 corregido"]]
+    );
+  });
+
+  it("leaves the outcomes pending when AppSheet keeps failing", async () => {
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+    await useAppSheet({ failures: { viaje: [503, 503] } });
+
+    const summary = await writeBackResults(DATE_PATH, results);
+
+    assert.deepEqual(summary, { written: 0, pending: 3, unchanged: 0 });
+    assert.equal(editRequests().length, 2);
+
+    // The next run sends them
+    const retry = await writeBackResults(DATE_PATH, results);
+    assert.deepEqual(retry, { written: 3, pending: 0, unchanged: 0 });
+  });
+
+  it("does nothing unless APPSHEET_WRITEBACK is enabled", async () => {
+    delete process.env.APPSHEET_WRITEBACK;
+    await useAppSheet();
+
+    assert.equal(await writeBackResults(DATE_PATH, results), null);
+    assert.equal(appSheet.requests.length, 0);
+  });
+
+  it("keeps the edits in the report during a dry run", async () => {
+    await useAppSheet();
+    const dryRun = createDryRun();
+
+    await runWithContext({ dryRun }, () =>
+      writeBackResults(DATE_PATH, results)
+    );
+
+    assert.equal(appSheet.requests.length, 0);
+    assert.deepEqual(
+      dryRun.report.appsheet_edits.map((edit) => edit.rows.length),
+      [2, 1]
+    );
+  });
+});
@@ -1,10 +1,46 @@
-import { subDays, format } from "date-fns";
+import {
+  addDays,
+  format,
+  parse,
+  isValid,
+  differenceInCalendarDays,
+} from "date-fns";
 import { formatInTimeZone } from "date-fns-tz";
+import { getSetting } from "./tenants.js";
 
-export function getYesterdayDateString() {
-  const today = new Date();
-  const yesterday = subDays(today, 1);
-  return format(yesterday, "MM/dd/yyyy");
+/**
+ * Timezone business days are counted in (BUSINESS_TIMEZONE, IANA name)
+ * Cloud Functions hosts run on UTC, so "today" must never come from the
+ * host clock
+ */
+export function getBusinessTimeZone() {
+  return getSetting("BUSINESS_TIMEZONE") || "America/Bogota";
+}
+
+/**
+ * Format an instant (default now) as a date in the business timezone
+ */
+export function getBusinessDateString(
+  formatStr = "yyyy-MM-dd",
+  now = new Date()
+) {
+  return formatInTimeZone(now, getBusinessTimeZone(), formatStr);
+}
+
+/**
+ * Yesterday's business date in MM/dd/yyyy format
+ * @param {Date} now - Reference instant (default now)
+ */
+export function getYesterdayDateString(now = new Date()) {
+  return addDaysToDateString(getBusinessDateString("MM/dd/yyyy", now), -1);
+}
+
+/**
+ * Add calendar days to a MM/dd/yyyy date
+ */
+export function addDaysToDateString(dateString, days) {
+  const date = parse(dateString, "MM/dd/yyyy", new Date());
+  return format(addDays(date, days), "MM/dd/yyyy");
 }
 
 /**
@@ -25,6 +61,121 @@ export function formatAppsheetDate(dateStr) {
   return `${day}/${month}/${year}`;
 }
 
-export function getBogotaDateString(formatStr = "yyyy-MM-dd") {
-  return formatInTimeZone(new Date(), "America/Bogota", formatStr);
+/**
+ * Normalize a requested date to MM/dd/yyyy
+ * @param {string} input - Date in yyyy-MM-dd or MM/dd/yyyy format
+ * @returns {string} - Date like "11/26/2025"
+ */
+export function normalizeDateString(input) {
+  const value = String(input).trim();
+  const formatStr = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? "yyyy-MM-dd"
+    : "MM/dd/yyyy";
+  const parsed = parse(value, formatStr, new Date());
+
+  if (!isValid(parsed) || format(parsed, formatStr) !== value) {
+    throw new Error(
+      `Invalid date "${input}" (expected yyyy-MM-dd or MM/dd/yyyy)`
+    );
+  }
+
+  return format(parsed, "MM/dd/yyyy");
+}
+
+/**
+ * List every date between from and to (inclusive) in MM/dd/yyyy format
+ */
+export function getDateRange(from, to) {
+  const start = parse(normalizeDateString(from), "MM/dd/yyyy", new Date());
+  const end = parse(normalizeDateString(to), "MM/dd/yyyy", new Date());
+  const days = differenceInCalendarDays(end, start);
+
+  if (days < 0) {
+    throw new Error(`Invalid date range: "${from}" is after "${to}"`);
+  }
+
+  const maxDays = parseInt(process.env.AUDIT_MAX_RANGE_DAYS || "31");
+  if (days + 1 > maxDays) {
+    throw new Error(
+      `Date range too long: ${days + 1} days (maximum ${maxDays})`
+    );
+  }
+
+  const dates = [];
+  for (let i = 0; i <= days; i++) {
+    dates.push(format(addDays(start, i), "MM/dd/yyyy"));
+  }
+  return dates;
+}
+
+/**
+ * Resolve the dates to audit from request params ({ date } or { from, to })
+ * Defaults to yesterday when no date is given
+ */
+export function resolveAuditDates({ date, from, to } = {}) {
+  if (date && (from || to)) {
+    throw new Error('Use either "date" or "from"/"to", not both');
+  }
+  if (date) {
+    return [normalizeDateString(date)];
+  }
+  if (from || to) {
+    return getDateRange(from || to, to || from);
+  }
+  return [getYesterdayDateString()];
+}
+
+/**
+ * Parse a boolean flag from a request param or env var
+ */
+export function parseBooleanFlag(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+/**
+ * Read a concurrency limit from an env var (minimum 1)
+ */
+export function getConcurrency(envName, defaultValue) {
+  const value = parseInt(process.env[envName] || String(defaultValue));
+  return Number.isNaN(value) || value < 1 ? 1 : value;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping input order
+ * Once `shouldStop()` returns true no new item is started; the results of
+ * items that were never started stay undefined
+ */
+export async function mapWithConcurrency(
+  items,
+  limit,
+  fn,
+  { shouldStop = () => false } = {}
+) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () =>
+    worker()
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
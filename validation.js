@@ -1,11 +1,28 @@
+import { getSetting } from "./tenants.js";
+
 /**
  * Validation logic for comparing extracted values with expected values
  */
 
 /**
- * Compare two dates with tolerance of ±2 days
+ * Validation rules of the current tenant
+ * AUDIT_FECHA_TOLERANCE_DAYS (default 2) and AUDIT_CONFIDENCE_THRESHOLD
+ * (default 0.7)
+ */
+export function getValidationRules() {
+  const fechaToleranceDays = parseInt(getSetting("AUDIT_FECHA_TOLERANCE_DAYS"));
+  const confidenceThreshold = parseFloat(getSetting("AUDIT_CONFIDENCE_THRESHOLD"));
+
+  return {
+    fechaToleranceDays: Number.isNaN(fechaToleranceDays) ? 2 : fechaToleranceDays,
+    confidenceThreshold: Number.isNaN(confidenceThreshold) ? 0.7 : confidenceThreshold
+  };
+}
+
+/**
+ * Compare two dates with tolerance of ±toleranceDays
  */
-function compareDates(extractedDate, expectedDate) {
+function compareDates(extractedDate, expectedDate, toleranceDays) {
   if (!extractedDate || !expectedDate) {
     return {
       coincide: false,
@@ -18,19 +35,20 @@ function compareDates(extractedDate, expectedDate) {
     const [eDay, eMonth, eYear] = extractedDate.split("/").map(Number);
     const [xDay, xMonth, xYear] = expectedDate.split("/").map(Number);
 
-    const extracted = new Date(eYear, eMonth - 1, eDay);
-    const expected = new Date(xYear, xMonth - 1, xDay);
+    // UTC so a DST change on the host never adds or removes an hour
+    const extracted = Date.UTC(eYear, eMonth - 1, eDay);
+    const expected = Date.UTC(xYear, xMonth - 1, xDay);
 
     // Calculate difference in days
     const diffTime = Math.abs(extracted - expected);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
 
     if (diffDays === 0) {
       return {
         coincide: true,
         observacion: ""
       };
-    } else if (diffDays <= 2) {
+    } else if (diffDays <= toleranceDays) {
       return {
         coincide: true,
         observacion: `Diferencia de ${diffDays} día(s), dentro de tolerancia`
@@ -38,7 +56,7 @@ function compareDates(extractedDate, expectedDate) {
     } else {
       return {
         coincide: false,
-        observacion: `Diferencia de ${diffDays} días, fuera de tolerancia (máximo 2 días)`
+        observacion: `Diferencia de ${diffDays} días, fuera de tolerancia (máximo ${toleranceDays} días)`
       };
     }
   } catch (error) {
@@ -83,9 +101,15 @@ function comparePlaca(extractedPlaca, expectedPlaca) {
  * @param {Object} extractionResult - Result from Gemini extraction
  * @param {Object} expectedValues - Expected values from AppSheet
  * @param {Array} validPlacas - List of valid placas
+ * @param {Object} rules - { fechaToleranceDays, confidenceThreshold }
  * @returns {Object} Validation result with comparaciones, aprobado, status
  */
-export function validateExtraction(extractionResult, expectedValues, validPlacas) {
+export function validateExtraction(
+  extractionResult,
+  expectedValues,
+  validPlacas,
+  rules = getValidationRules()
+) {
   const comparaciones = {};
 
   // 1. numeroVale - strict exact match (printed number)
@@ -129,10 +153,11 @@ export function validateExtraction(extractionResult, expectedValues, validPlacas
       : `Cantidad extraída "${m3Extracted}" no coincide con "${m3Expected}"`
   };
 
-  // 4. fecha - allow ±2 days tolerance
+  // 4. fecha - allow ±fechaToleranceDays tolerance (default 2)
   const fechaComparison = compareDates(
     extractionResult.fecha.valor,
-    expectedValues.fecha
+    expectedValues.fecha,
+    rules.fechaToleranceDays
   );
   comparaciones.fecha = {
     ...fechaComparison,
@@ -158,7 +183,7 @@ export function validateExtraction(extractionResult, expectedValues, validPlacas
 
   // Check confidence levels (low confidence = manual review)
   const lowConfidenceFields = [];
-  const CONFIDENCE_THRESHOLD = 0.7;
+  const CONFIDENCE_THRESHOLD = rules.confidenceThreshold;
 
   if (extractionResult.numeroVale.confianza < CONFIDENCE_THRESHOLD) {
     lowConfidenceFields.push(`numeroVale (${(extractionResult.numeroVale.confianza * 100).toFixed(0)}%)`);
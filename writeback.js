@@ -0,0 +1,174 @@
+import { editRows } from "./appsheet.js";
+import {
+  getBucket,
+  fileExists,
+  readJSON,
+  writeJSON,
+  getPublicUrl,
+} from "./bucket.js";
+import { hasTimeLeft } from "./context.js";
+import { logger } from "./logger.js";
+import { countMetric, recordRunError } from "./metrics.js";
+import { getAppSheetMapping } from "./mapping.js";
+import { getSetting } from "./tenants.js";
+
+/**
+ * Write-back of audit outcomes to the AppSheet viaje table
+ *
+ * Enabled with APPSHEET_WRITEBACK=true. Each audited row gets its status,
+ * the reason behind it and a link to the vale image, sent with the Edit
+ * action in batches of APPSHEET_WRITEBACK_BATCH_SIZE rows. What was written
+ * is kept in audits/<datePath>/writeback.json so later runs only send the
+ * rows whose outcome changed (re-audits, reviews) or that failed to go out.
+ * The table and columns come from the writeback section of the AppSheet
+ * mapping (mapping.js).
+ */
+
+// AppSheet text columns are not meant for long texts
+const MAX_REASON_LENGTH = 500;
+
+export function isWriteBackEnabled() {
+  return getSetting("APPSHEET_WRITEBACK") === "true";
+}
+
+function getStatePath(datePath) {
+  return `audits/${datePath}/writeback.json`;
+}
+
+/**
+ * Short explanation of an audit outcome for the field teams
+ */
+function getAuditReason(result) {
+  if (result.revision) {
+    const { revisor, comentario } = result.revision;
+    return [`Revisado por ${revisor?.correo || "revisor"}`, comentario]
+      .filter(Boolean)
+      .join(": ");
+  }
+
+  switch (result.status) {
+    case "imagen_faltante":
+      return result.motivo || "";
+    case "error":
+    case "dead_letter":
+      return result.error || "";
+    case "requiere_revision_manual":
+      return result.manualReviewReason || "";
+    default: {
+      const comparaciones = result.comparaciones || {};
+      return Object.entries({
+        Vale: comparaciones.numeroVale,
+        Placa: comparaciones.placa,
+        M3: comparaciones.m3,
+        Fecha: comparaciones.fecha,
+      })
+        .filter(([, comparacion]) => comparacion?.observacion)
+        .map(([label, comparacion]) => `${label}: ${comparacion.observacion}`)
+        .join(" | ");
+    }
+  }
+}
+
+function toAppSheetRow(result, bucket, { key, columns }) {
+  return {
+    [key]: result.row_id,
+    [columns.status]: result.status,
+    [columns.reason]: getAuditReason(result).slice(0, MAX_REASON_LENGTH),
+    [columns.evidence]:
+      result.image_path && bucket
+        ? getPublicUrl(bucket, result.image_path)
+        : "",
+  };
+}
+
+/**
+ * Send the outcomes of audit results to AppSheet
+ * Never throws: a failed batch is logged and retried by the next run
+ * @param {Array} results - Audit results (with reviews applied)
+ * @returns {Promise<Object|null>} - { written, pending, unchanged }, null when
+ *   the write-back is disabled
+ */
+export async function writeBackResults(datePath, results) {
+  if (!isWriteBackEnabled()) {
+    return null;
+  }
+
+  const bucket = getBucket();
+  const statePath = getStatePath(datePath);
+  const saved =
+    bucket && (await fileExists(bucket, statePath))
+      ? await readJSON(bucket, statePath)
+      : null;
+  const state = { rows: {}, ...saved };
+
+  const { writeback } = getAppSheetMapping();
+  const pending = results
+    .map((result) => ({
+      rowId: result.row_id,
+      row: toAppSheetRow(result, bucket, writeback),
+    }))
+    .filter(({ rowId, row }) => state.rows[rowId] !== JSON.stringify(row));
+  const summary = {
+    written: 0,
+    pending: 0,
+    unchanged: results.length - pending.length,
+  };
+
+  if (pending.length === 0) {
+    logger.info("✅ AppSheet already has every audit outcome");
+    return summary;
+  }
+
+  const batchSize = Math.max(
+    1,
+    parseInt(getSetting("APPSHEET_WRITEBACK_BATCH_SIZE") || "50") || 1
+  );
+  logger.info(
+    `✍️ Writing ${pending.length} audit outcomes back to AppSheet (batches of ${batchSize})`
+  );
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    if (!hasTimeLeft()) {
+      summary.pending += pending.length - i;
+      logger.info(
+        `⏱️ Time budget reached, ${
+          pending.length - i
+        } outcomes left for the next run`
+      );
+      break;
+    }
+
+    try {
+      await editRows(
+        writeback.table,
+        batch.map(({ row }) => row)
+      );
+    } catch (error) {
+      // AppSheet is failing after its retries, leave the rest for next run
+      summary.pending += pending.length - i;
+      logger.error("❌ AppSheet write-back failed", { error });
+      recordRunError(`AppSheet write-back: ${error.message}`);
+      break;
+    }
+
+    summary.written += batch.length;
+    for (const { rowId, row } of batch) {
+      state.rows[rowId] = JSON.stringify(row);
+    }
+    if (bucket) {
+      await writeJSON(bucket, statePath, {
+        ...state,
+        updated_at: new Date().toISOString(),
+      });
+    }
+  }
+
+  countMetric("counts", "writeback_rows", summary.written);
+  countMetric("counts", "writeback_pending", summary.pending);
+  logger.info(
+    `✍️ AppSheet write-back: ${summary.written} written, ${summary.pending} pending`,
+    summary
+  );
+  return summary;
+}